@@ -0,0 +1,113 @@
+// Generated from the repo's images by scripts/asset-manifest.mjs - do not edit
+const assetManifest = {
+    "maxBytes": 1000000,
+    "images": {
+        "boat.png": {
+            "width": 438,
+            "height": 438,
+            "bytes": 97414
+        },
+        "fishingrod.png": {
+            "width": 438,
+            "height": 438,
+            "bytes": 61166
+        },
+        "goggles.png": {
+            "width": 438,
+            "height": 438,
+            "bytes": 115941
+        },
+        "jettypod-favicon.png": {
+            "width": 150,
+            "height": 150,
+            "bytes": 4374
+        },
+        "leaking-boat.png": {
+            "width": 681,
+            "height": 681,
+            "bytes": 205134
+        },
+        "lighthouse.png": {
+            "width": 438,
+            "height": 438,
+            "bytes": 110292
+        },
+        "logo.png": {
+            "width": 500,
+            "height": 500,
+            "bytes": 110748
+        },
+        "not-leaking-boat.png": {
+            "width": 681,
+            "height": 681,
+            "bytes": 213740
+        },
+        "paper-boat.png": {
+            "width": 1024,
+            "height": 1024,
+            "bytes": 1494152
+        },
+        "production-mode-tri.png": {
+            "width": 1898,
+            "height": 1898,
+            "bytes": 63158
+        },
+        "sailboat.png": {
+            "width": 438,
+            "height": 438,
+            "bytes": 127733
+        },
+        "shell.png": {
+            "width": 438,
+            "height": 438,
+            "bytes": 102959
+        },
+        "ship-images/paper-ship-square.png": {
+            "width": 1204,
+            "height": 1204,
+            "bytes": 331116
+        },
+        "ship-images/smooth-ship-square.png": {
+            "width": 1204,
+            "height": 1204,
+            "bytes": 569761
+        },
+        "ship-images/tempest-ship-square.png": {
+            "width": 1204,
+            "height": 1204,
+            "bytes": 671177
+        },
+        "smooth-ship.png": {
+            "width": 1024,
+            "height": 1536,
+            "bytes": 1699782
+        },
+        "speed-mode-tri.png": {
+            "width": 1898,
+            "height": 1898,
+            "bytes": 70421
+        },
+        "stable-mode-tri.png": {
+            "width": 1898,
+            "height": 1898,
+            "bytes": 74114
+        },
+        "starfish.png": {
+            "width": 438,
+            "height": 438,
+            "bytes": 131834
+        },
+        "tempest.png": {
+            "width": 1024,
+            "height": 1024,
+            "bytes": 1581654
+        },
+        "tugboat.png": {
+            "width": 1536,
+            "height": 1024,
+            "bytes": 869177
+        }
+    }
+};
+
+export { assetManifest };
@@ -0,0 +1,231 @@
+/**
+ * CSS Length Evaluator
+ * Resolves CSS length values to pixels for a given viewport, so layout checks
+ * (overlap validation, renderer bounds) measure what the browser would draw
+ *
+ * Supports px, %, vw, vh, vmin, vmax, rem, em, a bare 0, and
+ * calc() (with + - * / and parentheses), clamp(), min() and max(), nested freely.
+ *
+ * Example:
+ *   resolveLength('calc(50% - 10rem)', { viewport: { width: 1440, height: 900 }, percentOf: 1440 })  // 560
+ */
+
+const ROOT_FONT_SIZE = 16; // px, browser default
+
+/**
+ * @typedef {Object} LengthContext
+ * @property {{width: number, height: number}} viewport - px
+ * @property {number} [percentOf=0] - What 100% refers to (e.g. viewport width for left/right)
+ * @property {number} [rootFontSize=16] - px per rem
+ * @property {number} [fontSize] - px per em (defaults to rootFontSize)
+ */
+
+const TOKEN_PATTERN = /\s*(?:(-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(px|%|vw|vh|vmin|vmax|rem|em)?|([a-z]+)\(|([-+*/(),]))/iy;
+
+/**
+ * Split a length expression into tokens
+ * @param {string} text
+ * @returns {Array<{type: 'number', value: number, unit: string}|{type: 'function', name: string}|{type: 'op', value: string}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while (TOKEN_PATTERN.lastIndex < text.length && (match = TOKEN_PATTERN.exec(text))) {
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]), unit: (match[2] || '').toLowerCase() });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'function', name: match[3].toLowerCase() });
+        } else {
+            tokens.push({ type: 'op', value: match[4] });
+        }
+    }
+    if (TOKEN_PATTERN.lastIndex < text.trimEnd().length) {
+        throw new Error(`unexpected "${text.slice(TOKEN_PATTERN.lastIndex).trim()}"`);
+    }
+    return tokens;
+}
+
+/**
+ * Pixels for a number token
+ * @param {number} value
+ * @param {string} unit
+ * @param {Required<LengthContext>} context
+ * @returns {number}
+ */
+function toPixels(value, unit, context) {
+    const { viewport } = context;
+    switch (unit) {
+        case 'px': return value;
+        case '%': return (value / 100) * context.percentOf;
+        case 'vw': return (value / 100) * viewport.width;
+        case 'vh': return (value / 100) * viewport.height;
+        case 'vmin': return (value / 100) * Math.min(viewport.width, viewport.height);
+        case 'vmax': return (value / 100) * Math.max(viewport.width, viewport.height);
+        case 'rem': return value * context.rootFontSize;
+        case 'em': return value * context.fontSize;
+        default: return value;
+    }
+}
+
+/**
+ * Evaluate a length expression
+ * Values carry whether they are lengths or plain numbers so calc() type
+ * errors (10px * 10px, 1 + 10px) are rejected like the browser does.
+ * @param {string} text
+ * @param {Required<LengthContext>} context
+ * @returns {number} px
+ */
+function evaluate(text, context) {
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = value => peek()?.type === 'op' && peek().value === value;
+    const expect = value => {
+        if (!isOp(value)) throw new Error(`expected "${value}"`);
+        pos++;
+    };
+
+    // sum := product (('+'|'-') product)*
+    function parseSum() {
+        let left = parseProduct();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[pos++].value;
+            const right = parseProduct();
+            if (left.length !== right.length) throw new Error(`cannot ${op === '+' ? 'add' : 'subtract'} a number and a length`);
+            left = { value: op === '+' ? left.value + right.value : left.value - right.value, length: left.length };
+        }
+        return left;
+    }
+
+    // product := term (('*'|'/') term)*
+    function parseProduct() {
+        let left = parseTerm();
+        while (isOp('*') || isOp('/')) {
+            const op = tokens[pos++].value;
+            const right = parseTerm();
+            if (op === '*') {
+                if (left.length && right.length) throw new Error('cannot multiply two lengths');
+                left = { value: left.value * right.value, length: left.length || right.length };
+            } else {
+                if (right.length) throw new Error('cannot divide by a length');
+                if (right.value === 0) throw new Error('division by zero');
+                left = { value: left.value / right.value, length: left.length };
+            }
+        }
+        return left;
+    }
+
+    // term := number | '(' sum ')' | function '(' args ')'
+    function parseTerm() {
+        const token = tokens[pos++];
+        if (!token) throw new Error('unexpected end of value');
+
+        if (token.type === 'number') {
+            return { value: toPixels(token.value, token.unit, context), length: token.unit !== '' };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const inner = parseSum();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'function') {
+            return parseFunction(token.name);
+        }
+        throw new Error(`unexpected "${token.value}"`);
+    }
+
+    function parseFunction(name) {
+        const args = [parseSum()];
+        while (isOp(',')) {
+            pos++;
+            args.push(parseSum());
+        }
+        expect(')');
+
+        const length = args.some(arg => arg.length);
+        if (args.some(arg => arg.length !== length)) {
+            throw new Error(`${name}() mixes numbers and lengths`);
+        }
+        const values = args.map(arg => arg.value);
+
+        switch (name) {
+            case 'calc':
+                if (args.length !== 1) throw new Error('calc() takes one expression');
+                return args[0];
+            case 'min':
+                return { value: Math.min(...values), length };
+            case 'max':
+                return { value: Math.max(...values), length };
+            case 'clamp':
+                if (args.length !== 3) throw new Error('clamp() takes three values');
+                return { value: Math.max(values[0], Math.min(values[1], values[2])), length };
+            default:
+                throw new Error(`unsupported function ${name}()`);
+        }
+    }
+
+    const result = parseSum();
+    if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos].value ?? tokens[pos].name}"`);
+    // A bare 0 is the one unitless length
+    const isZero = tokens.length === 1 && result.value === 0;
+    if (!result.length && !isZero) throw new Error('not a length (missing unit)');
+    return result.value;
+}
+
+/**
+ * @param {LengthContext} context
+ * @returns {Required<LengthContext>}
+ */
+function withDefaults(context) {
+    const rootFontSize = context.rootFontSize ?? ROOT_FONT_SIZE;
+    return {
+        viewport: context.viewport,
+        percentOf: context.percentOf ?? 0,
+        rootFontSize,
+        fontSize: context.fontSize ?? rootFontSize
+    };
+}
+
+/**
+ * Resolve a CSS length to pixels
+ * @param {string|number} value - CSS length, or a number of px
+ * @param {LengthContext} context
+ * @returns {number} px, or NaN when the value isn't a supported length
+ */
+function resolveLength(value, context) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+    try {
+        return evaluate(value.trim(), withDefaults(context));
+    } catch {
+        return NaN;
+    }
+}
+
+/**
+ * Why a value isn't a supported CSS length
+ * @param {*} value
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+function lengthError(value) {
+    if (typeof value !== 'string') return 'must be a string';
+    try {
+        evaluate(value.trim(), withDefaults({ viewport: { width: 1000, height: 1000 }, percentOf: 1000 }));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Whether a value is a CSS length this evaluator supports
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCssLength(value) {
+    return lengthError(value) === null;
+}
+
+export { ROOT_FONT_SIZE, resolveLength, isCssLength, lengthError };
@@ -0,0 +1,529 @@
+/**
+ * DOM Shim
+ * Just enough of the DOM for the section builder and renderers to run in Node,
+ * so sections can be pre-rendered to static HTML (see scripts/prerender.mjs)
+ *
+ * Supports createElement/createElementNS/createTextNode, attributes, id,
+ * className/classList, dataset, inline style (cssText and camelCase
+ * properties), textContent, innerHTML (stored verbatim), tree manipulation,
+ * simple selectors (tag, #id, .class, [attr], [attr="value"], descendant
+ * combinators and comma lists) and outerHTML serialization. Layout is not
+ * simulated: getBoundingClientRect returns an empty rect.
+ */
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * camelCase style/dataset name to kebab-case
+ * @param {string} name
+ * @returns {string}
+ */
+function toKebab(name) {
+    if (name === 'cssFloat') return 'float';
+    return name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+}
+
+/**
+ * kebab-case attribute suffix to camelCase
+ * @param {string} name
+ * @returns {string}
+ */
+function toCamel(name) {
+    return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Split a cssText string into declarations, ignoring ; inside parentheses
+ * @param {string} cssText
+ * @returns {Array<[string, string]>} [property, value] pairs
+ */
+function parseDeclarations(cssText) {
+    const declarations = [];
+    let depth = 0;
+    let current = '';
+
+    const flush = () => {
+        const colon = current.indexOf(':');
+        if (colon !== -1) {
+            const property = current.slice(0, colon).trim().toLowerCase();
+            const value = current.slice(colon + 1).trim().replace(/\s+/g, ' ');
+            if (property && value) declarations.push([property, value]);
+        }
+        current = '';
+    };
+
+    for (const char of String(cssText)) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ';' && depth === 0) {
+            flush();
+        } else {
+            current += char;
+        }
+    }
+    flush();
+
+    return declarations;
+}
+
+/**
+ * Inline style declaration (el.style)
+ * @returns {Object}
+ */
+function createStyle() {
+    const properties = new Map();
+
+    const serialize = () => Array.from(properties, ([property, value]) => `${property}: ${value};`).join(' ');
+    const methods = {
+        setProperty: (property, value) => {
+            if (value === null || value === undefined || value === '') {
+                properties.delete(property);
+            } else {
+                properties.set(property, String(value));
+            }
+        },
+        getPropertyValue: property => properties.get(property) || '',
+        removeProperty: property => {
+            const value = properties.get(property) || '';
+            properties.delete(property);
+            return value;
+        }
+    };
+
+    return new Proxy({}, {
+        get(target, key) {
+            if (typeof key !== 'string') return undefined;
+            if (key === 'cssText') return serialize();
+            if (key === 'length') return properties.size;
+            if (methods[key]) return methods[key];
+            return properties.get(toKebab(key)) || '';
+        },
+        set(target, key, value) {
+            if (key === 'cssText') {
+                properties.clear();
+                parseDeclarations(value).forEach(([property, declared]) => properties.set(property, declared));
+            } else {
+                methods.setProperty(toKebab(key), value);
+            }
+            return true;
+        }
+    });
+}
+
+/**
+ * Parse a simple selector list into compound selector chains
+ * @param {string} selector
+ * @returns {Array<Array<{tag?: string, id?: string, classes: string[], attributes: Array<{name: string, value?: string}>}>>}
+ */
+function parseSelector(selector) {
+    return selector.split(',').map(part => part.trim().split(/\s+/).map(compound => {
+        const parsed = { classes: [], attributes: [] };
+        const pattern = /([a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:="([^"]*)"|='([^']*)'|=([\w-]+))?\]|(\*)/g;
+        let match;
+        let consumed = 0;
+
+        while ((match = pattern.exec(compound)) !== null) {
+            if (match.index !== consumed) break;
+            consumed += match[0].length;
+
+            if (match[1]) parsed.tag = match[1].toLowerCase();
+            if (match[2]) parsed.id = match[2];
+            if (match[3]) parsed.classes.push(match[3]);
+            if (match[4]) parsed.attributes.push({ name: match[4], value: match[5] ?? match[6] ?? match[7] });
+        }
+
+        if (consumed !== compound.length) {
+            throw new Error(`dom-shim: unsupported selector "${selector}"`);
+        }
+        return parsed;
+    }));
+}
+
+/**
+ * @param {Object} el
+ * @param {{tag?: string, id?: string, classes: string[], attributes: Array<{name: string, value?: string}>}} compound
+ * @returns {boolean}
+ */
+function matchesCompound(el, compound) {
+    if (el.nodeType !== 1) return false;
+    if (compound.tag && el.localName !== compound.tag) return false;
+    if (compound.id && el.getAttribute('id') !== compound.id) return false;
+
+    const classes = el.className.split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+
+    return compound.attributes.every(({ name, value }) => (
+        value === undefined ? el.hasAttribute(name) : el.getAttribute(name) === value
+    ));
+}
+
+/**
+ * Whether an element matches a compound chain (descendant combinators only)
+ * @param {Object} el
+ * @param {Array<Object>} chain
+ * @returns {boolean}
+ */
+function matchesChain(el, chain) {
+    if (!matchesCompound(el, chain[chain.length - 1])) return false;
+
+    let ancestor = el.parentNode;
+    for (let i = chain.length - 2; i >= 0; i--) {
+        while (ancestor && !matchesCompound(ancestor, chain[i])) {
+            ancestor = ancestor.parentNode;
+        }
+        if (!ancestor) return false;
+        ancestor = ancestor.parentNode;
+    }
+    return true;
+}
+
+/**
+ * Serialize a node to HTML
+ * @param {Object} node
+ * @returns {string}
+ */
+function serialize(node) {
+    if (node.nodeType === 3) return escapeText(node.data);
+    if (node.nodeType === 'raw') return node.html;
+    if (node.nodeType !== 1) return node.childNodes.map(serialize).join('');
+
+    const attributes = node.getAttributeNames().map(name => {
+        const value = node.getAttribute(name);
+        return value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`;
+    }).join('');
+    const open = `<${node.localName}${attributes}>`;
+
+    if (VOID_ELEMENTS.has(node.localName) && node.namespaceURI === HTML_NAMESPACE) return open;
+    return `${open}${node.childNodes.map(serialize).join('')}</${node.localName}>`;
+}
+
+/**
+ * Shared behaviour of every node
+ */
+const nodeMethods = {
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    },
+
+    insertBefore(child, reference) {
+        if (child.nodeType === 11) {
+            [...child.childNodes].forEach(grandchild => this.insertBefore(grandchild, reference));
+            return child;
+        }
+
+        child.parentNode?.removeChild(child);
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        if (index === -1) {
+            this.childNodes.push(child);
+        } else {
+            this.childNodes.splice(index, 0, child);
+        }
+        child.parentNode = this;
+        return child;
+    },
+
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index !== -1) {
+            this.childNodes.splice(index, 1);
+            child.parentNode = null;
+        }
+        return child;
+    },
+
+    remove() {
+        this.parentNode?.removeChild(this);
+    },
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    },
+
+    querySelectorAll(selector) {
+        const chains = parseSelector(selector);
+        const found = [];
+        const walk = node => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType !== 1) return;
+                if (chains.some(chain => matchesChain(child, chain))) found.push(child);
+                walk(child);
+            });
+        };
+        walk(this);
+        return found;
+    },
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    },
+
+    addEventListener() {},
+    removeEventListener() {},
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    },
+
+    get nextSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    },
+
+    get children() {
+        return this.childNodes.filter(child => child.nodeType === 1);
+    },
+
+    get textContent() {
+        if (this.nodeType === 3) return this.data;
+        if (this.nodeType === 'raw') return this.html.replace(/<[^>]*>/g, '');
+        return this.childNodes.map(child => child.textContent).join('');
+    },
+
+    set textContent(text) {
+        if (this.nodeType === 3) {
+            this.data = String(text);
+            return;
+        }
+        this.childNodes.forEach(child => { child.parentNode = null; });
+        this.childNodes = [];
+        if (text !== '' && text !== null && text !== undefined) {
+            this.appendChild(this.ownerDocument.createTextNode(String(text)));
+        }
+    }
+};
+
+/**
+ * Element behaviour
+ */
+const elementMethods = Object.create(nodeMethods, Object.getOwnPropertyDescriptors({
+    nodeType: 1,
+
+    // The style attribute lives in el.style; everything else in _attributes
+    getAttribute(name) {
+        if (name === 'style') return this.style.length ? this.style.cssText : null;
+        return this._attributes.has(name) ? this._attributes.get(name) : null;
+    },
+
+    setAttribute(name, value) {
+        if (name === 'style') {
+            this.style.cssText = String(value);
+        } else {
+            this._attributes.set(name, String(value));
+        }
+    },
+
+    hasAttribute(name) {
+        return name === 'style' ? this.style.length > 0 : this._attributes.has(name);
+    },
+
+    removeAttribute(name) {
+        if (name === 'style') {
+            this.style.cssText = '';
+        } else {
+            this._attributes.delete(name);
+        }
+    },
+
+    getAttributeNames() {
+        const names = [...this._attributes.keys()];
+        return this.style.length ? [...names, 'style'] : names;
+    },
+
+    matches(selector) {
+        return parseSelector(selector).some(chain => matchesChain(this, chain));
+    },
+
+    closest(selector) {
+        for (let current = this; current && current.nodeType === 1; current = current.parentNode) {
+            if (current.matches(selector)) return current;
+        }
+        return null;
+    },
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0 };
+    },
+
+    get id() {
+        return this.getAttribute('id') || '';
+    },
+    set id(value) {
+        this.setAttribute('id', value);
+    },
+
+    get className() {
+        return this.getAttribute('class') || '';
+    },
+    set className(value) {
+        this.setAttribute('class', value);
+    },
+
+    get classList() {
+        const el = this;
+        const list = () => el.className.split(/\s+/).filter(Boolean);
+        return {
+            contains: name => list().includes(name),
+            add: (...names) => { el.className = [...new Set([...list(), ...names])].join(' '); },
+            remove: (...names) => { el.className = list().filter(name => !names.includes(name)).join(' '); },
+            toggle: (name, force) => {
+                const on = force ?? !list().includes(name);
+                if (on) el.classList.add(name); else el.classList.remove(name);
+                return on;
+            }
+        };
+    },
+
+    get src() {
+        return this.getAttribute('src') || '';
+    },
+    set src(value) {
+        this.setAttribute('src', value);
+    },
+
+    get innerHTML() {
+        return this.childNodes.map(serialize).join('');
+    },
+    set innerHTML(html) {
+        this.textContent = '';
+        if (html) {
+            this.appendChild(Object.assign(Object.create(nodeMethods), {
+                nodeType: 'raw', html: String(html), childNodes: [], parentNode: null, ownerDocument: this.ownerDocument
+            }));
+        }
+    },
+
+    get outerHTML() {
+        return serialize(this);
+    }
+}));
+
+/**
+ * Create a detached element
+ * @param {Object} ownerDocument
+ * @param {string} tagName
+ * @param {string} [namespaceURI]
+ * @returns {Object}
+ */
+function createElementNode(ownerDocument, tagName, namespaceURI = HTML_NAMESPACE) {
+    const el = Object.create(elementMethods);
+    const isHtml = namespaceURI === HTML_NAMESPACE;
+
+    Object.assign(el, {
+        ownerDocument,
+        namespaceURI,
+        localName: isHtml ? tagName.toLowerCase() : tagName,
+        tagName: isHtml ? tagName.toUpperCase() : tagName,
+        childNodes: [],
+        parentNode: null,
+        _attributes: new Map(),
+        style: createStyle()
+    });
+
+    el.dataset = new Proxy({}, {
+        get: (target, key) => (typeof key === 'string' ? el.getAttribute(`data-${toKebab(key)}`) ?? undefined : undefined),
+        set: (target, key, value) => {
+            el.setAttribute(`data-${toKebab(key)}`, value);
+            return true;
+        },
+        deleteProperty: (target, key) => {
+            el.removeAttribute(`data-${toKebab(key)}`);
+            return true;
+        },
+        has: (target, key) => el.hasAttribute(`data-${toKebab(key)}`),
+        ownKeys: () => el.getAttributeNames().filter(name => name.startsWith('data-')).map(name => toCamel(name.slice(5))),
+        getOwnPropertyDescriptor: (target, key) => {
+            const value = el.getAttribute(`data-${toKebab(key)}`);
+            return value === null ? undefined : { value, enumerable: true, configurable: true, writable: true };
+        }
+    });
+
+    return el;
+}
+
+/**
+ * Create a document with an empty <html><head></head><body></body></html>
+ * @param {Object} [options]
+ * @param {number} [options.innerWidth=1280] - Viewport width reported by window
+ * @param {number} [options.innerHeight=800] - Viewport height reported by window
+ * @returns {{document: Object, window: Object}}
+ */
+function createDocument({ innerWidth = 1280, innerHeight = 800 } = {}) {
+    const document = Object.create(nodeMethods);
+    Object.assign(document, { nodeType: 9, childNodes: [], parentNode: null });
+    document.ownerDocument = document;
+
+    document.createElement = tagName => createElementNode(document, tagName);
+    document.createElementNS = (namespaceURI, tagName) => createElementNode(document, tagName, namespaceURI);
+    document.createTextNode = data => Object.assign(Object.create(nodeMethods), {
+        nodeType: 3, data: String(data), childNodes: [], parentNode: null, ownerDocument: document
+    });
+    document.createDocumentFragment = () => Object.assign(Object.create(nodeMethods), {
+        nodeType: 11, childNodes: [], parentNode: null, ownerDocument: document
+    });
+    document.getElementById = id => document.querySelectorAll('*').find(el => el.id === id) || null;
+
+    const html = document.appendChild(document.createElement('html'));
+    document.documentElement = html;
+    document.head = html.appendChild(document.createElement('head'));
+    document.body = html.appendChild(document.createElement('body'));
+
+    const window = {
+        document,
+        innerWidth,
+        innerHeight,
+        scrollY: 0,
+        devicePixelRatio: 1,
+        addEventListener() {},
+        removeEventListener() {},
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame() {}
+    };
+
+    return { document, window };
+}
+
+/**
+ * Install a shim document/window as globals (for code that uses `document` directly)
+ * @param {Object} [options] - See createDocument
+ * @returns {{document: Object, window: Object, restore: () => void}}
+ */
+function installDomShim(options) {
+    const previous = { document: globalThis.document, window: globalThis.window };
+    const { document, window } = createDocument(options);
+
+    globalThis.document = document;
+    globalThis.window = window;
+
+    return {
+        document,
+        window,
+        restore() {
+            globalThis.document = previous.document;
+            globalThis.window = previous.window;
+        }
+    };
+}
+
+export { createDocument, installDomShim, serialize };
@@ -0,0 +1,369 @@
+/**
+ * Hero Text
+ * Parses hero.text into a small allow-listed tree so it never reaches innerHTML
+ *
+ * hero.text is either an HTML string limited to:
+ *   <br>, <span class="...">, <em>, <strong>
+ * or rich-text nodes (see HeroTextNode in section-schema.js):
+ *   ['Tools like ', { tag: 'span', class: 'rotating-text', text: 'Lovable' }, { tag: 'br' }, 'are great.']
+ *
+ * Anything else is dropped: disallowed elements are unwrapped (their text is
+ * kept), script-like elements are removed with their content, and attributes
+ * other than span's class are stripped. validateHeroText reports what would
+ * be dropped so the schema validator can reject it.
+ */
+
+const ALLOWED_TAGS = ['br', 'span', 'em', 'strong'];
+
+/**
+ * Hero layout shared by the builder and the validator's bounds measurement
+ * The container is centered on `top`; the text block is centered inside it.
+ */
+const HERO_LAYOUT = {
+    top: '30%',
+    fontSize: 'clamp(2rem, 5vw, 3.5rem)',
+    fontWeight: 900,
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+    lineHeight: 1.2,
+    containerMaxWidth: 1200, // px
+    textMaxWidth: 1000, // px
+    padding: 40 // px, inside the container (border-box)
+};
+
+// Elements whose content is never shown as text
+const DROPPED_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math'];
+
+const CLASS_PATTERN = /^[\w\s-]*$/;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * @typedef {Object} HeroTextIssue
+ * @property {string} code - 'disallowed-tag' | 'disallowed-attribute' | 'invalid-class' | 'invalid-node'
+ * @property {string} message
+ */
+
+/**
+ * @typedef {string|{tag: string, class?: string, children: HeroTreeNode[]}} HeroTreeNode
+ */
+
+/**
+ * Normalized hero text: text strings and allowed elements
+ * @typedef {HeroTreeNode[]} HeroTree
+ */
+
+/**
+ * Decode the character references HTML text may contain
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse attribute source (` class="a" onclick='x'`) into name/value pairs
+ * @param {string} source
+ * @returns {Array<[string, string]>}
+ */
+function parseAttributes(source) {
+    const attributes = [];
+    const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes.push([match[1].toLowerCase(), decodeEntities(match[2] ?? match[3] ?? match[4] ?? '')]);
+    }
+    return attributes;
+}
+
+/**
+ * Parse an HTML string into an allow-listed tree
+ * @param {string} html
+ * @returns {{tree: HeroTree, issues: HeroTextIssue[]}}
+ */
+function parseHeroHtml(html) {
+    const issues = [];
+    const root = { children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const token = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|[^<]+|</g;
+    let match;
+
+    while ((match = token.exec(html)) !== null) {
+        const [source, closing, rawTag, attributeSource = ''] = match;
+
+        if (source.startsWith('<!--')) continue;
+
+        if (!rawTag) {
+            current().children.push(decodeEntities(source));
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+
+        if (DROPPED_CONTENT_TAGS.includes(tag)) {
+            if (!closing) {
+                issues.push({ code: 'disallowed-tag', message: `<${tag}> is not allowed in hero text (removed with its content)` });
+                const end = new RegExp(`</${tag}\\s*>`, 'ig');
+                end.lastIndex = token.lastIndex;
+                const endMatch = end.exec(html);
+                token.lastIndex = endMatch ? end.lastIndex : html.length;
+            }
+            continue;
+        }
+
+        if (!ALLOWED_TAGS.includes(tag)) {
+            if (!closing) {
+                issues.push({ code: 'disallowed-tag', message: `<${tag}> is not allowed in hero text (allowed: ${ALLOWED_TAGS.map(name => `<${name}>`).join(', ')})` });
+            }
+            continue;
+        }
+
+        if (closing) {
+            // Close the nearest matching open element (and anything left open inside it)
+            const index = stack.map(node => node.tag).lastIndexOf(tag);
+            if (index > 0) stack.length = index;
+            continue;
+        }
+
+        const node = { tag, children: [] };
+        parseAttributes(attributeSource).forEach(([name, value]) => {
+            if (name === 'class' && tag === 'span') {
+                if (CLASS_PATTERN.test(value)) {
+                    node.class = value.trim().replace(/\s+/g, ' ');
+                } else {
+                    issues.push({ code: 'invalid-class', message: `class "${value}" may only contain letters, digits, "-" and "_"` });
+                }
+            } else {
+                issues.push({ code: 'disallowed-attribute', message: `attribute "${name}" is not allowed on <${tag}> in hero text` });
+            }
+        });
+
+        current().children.push(node);
+        if (tag !== 'br') stack.push(node);
+    }
+
+    return { tree: root.children, issues };
+}
+
+/**
+ * Normalize rich-text nodes into the same tree parseHeroHtml produces
+ * @param {Array} nodes
+ * @param {string} [path='text']
+ * @returns {{tree: HeroTree, issues: HeroTextIssue[]}}
+ */
+function parseHeroNodes(nodes, path = 'text') {
+    const issues = [];
+
+    const normalize = (node, nodePath) => {
+        if (typeof node === 'string') return node;
+
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            issues.push({ code: 'invalid-node', message: `${nodePath} must be a string or a { tag } element` });
+            return null;
+        }
+        if (!ALLOWED_TAGS.includes(node.tag)) {
+            issues.push({ code: 'disallowed-tag', message: `${nodePath}.tag "${node.tag}" must be one of ${ALLOWED_TAGS.join(', ')}` });
+            return null;
+        }
+
+        const element = { tag: node.tag, children: [] };
+        if (node.class !== undefined) {
+            if (node.tag !== 'span') {
+                issues.push({ code: 'disallowed-attribute', message: `${nodePath}.class is only allowed on span` });
+            } else if (typeof node.class !== 'string' || !CLASS_PATTERN.test(node.class)) {
+                issues.push({ code: 'invalid-class', message: `${nodePath}.class may only contain letters, digits, "-" and "_"` });
+            } else {
+                element.class = node.class.trim().replace(/\s+/g, ' ');
+            }
+        }
+
+        if (node.tag === 'br') {
+            if (node.text !== undefined || node.children !== undefined) {
+                issues.push({ code: 'invalid-node', message: `${nodePath} (br) cannot have text or children` });
+            }
+            return element;
+        }
+
+        if (node.text !== undefined) {
+            if (typeof node.text === 'string') {
+                element.children.push(node.text);
+            } else {
+                issues.push({ code: 'invalid-node', message: `${nodePath}.text must be a string` });
+            }
+        }
+        if (node.children !== undefined) {
+            if (Array.isArray(node.children)) {
+                node.children.forEach((child, idx) => {
+                    const normalized = normalize(child, `${nodePath}.children[${idx}]`);
+                    if (normalized !== null) element.children.push(normalized);
+                });
+            } else {
+                issues.push({ code: 'invalid-node', message: `${nodePath}.children must be an array` });
+            }
+        }
+
+        return element;
+    };
+
+    const tree = nodes
+        .map((node, idx) => normalize(node, `${path}[${idx}]`))
+        .filter(node => node !== null);
+
+    return { tree, issues };
+}
+
+/**
+ * Parse hero.text (HTML string or rich-text nodes)
+ * @param {string|import('./section-schema.js').HeroTextNode[]} text
+ * @returns {{tree: HeroTree, issues: HeroTextIssue[]}}
+ */
+function parseHeroText(text) {
+    if (Array.isArray(text)) return parseHeroNodes(text);
+    if (typeof text === 'string') return parseHeroHtml(text);
+    return { tree: [], issues: [{ code: 'invalid-node', message: 'text must be a string or an array of rich-text nodes' }] };
+}
+
+/**
+ * Problems that sanitizing would silently fix (for the schema validator)
+ * @param {*} text
+ * @returns {string[]} Error messages (empty when the text is clean)
+ */
+function validateHeroText(text) {
+    return parseHeroText(text).issues.map(issue => issue.message);
+}
+
+/**
+ * Append sanitized hero text to an element, using DOM APIs only
+ * @param {string|import('./section-schema.js').HeroTextNode[]} text
+ * @param {HTMLElement} parent
+ */
+function renderHeroText(text, parent) {
+    const append = (nodes, target) => {
+        nodes.forEach(node => {
+            if (typeof node === 'string') {
+                target.appendChild(document.createTextNode(node));
+                return;
+            }
+            const el = document.createElement(node.tag);
+            if (node.class) el.className = node.class;
+            append(node.children, el);
+            target.appendChild(el);
+        });
+    };
+
+    append(parseHeroText(text).tree, parent);
+}
+
+/**
+ * Build the fixed hero container with its sanitized text
+ * @param {import('./section-schema.js').HeroConfig} hero
+ * @returns {HTMLElement} div.section-content > h1.section-text
+ */
+function createHeroElement(hero) {
+    const container = document.createElement('div');
+    container.className = 'section-content';
+    container.style.cssText = `
+        position: fixed;
+        top: ${hero.top || HERO_LAYOUT.top};
+        left: 50%;
+        transform: translate(-50%, -50%);
+        width: 100%;
+        max-width: ${HERO_LAYOUT.containerMaxWidth}px;
+        padding: ${HERO_LAYOUT.padding}px;
+        z-index: 100;
+        opacity: 0;
+        transition: opacity 0.3s ease-out;
+        pointer-events: none;
+    `;
+
+    const heading = document.createElement('h1');
+    heading.className = 'section-text';
+    renderHeroText(hero.text, heading);
+    heading.style.cssText = `
+        font-size: ${hero.fontSize || HERO_LAYOUT.fontSize};
+        font-weight: ${HERO_LAYOUT.fontWeight};
+        text-align: ${hero.style || 'center'};
+        max-width: ${HERO_LAYOUT.textMaxWidth}px;
+        margin: 0 auto;
+        line-height: ${HERO_LAYOUT.lineHeight};
+        position: relative;
+        z-index: 100;
+        ${hero.color ? `color: ${hero.color};` : ''}
+    `;
+
+    container.appendChild(heading);
+    return container;
+}
+
+/**
+ * Sanitized HTML for hero text
+ * @param {string|import('./section-schema.js').HeroTextNode[]} text
+ * @returns {string}
+ */
+function heroTextToHtml(text) {
+    const serialize = nodes => nodes.map(node => {
+        if (typeof node === 'string') return escapeHtml(node);
+        if (node.tag === 'br') return '<br>';
+        const attributes = node.class ? ` class="${escapeHtml(node.class)}"` : '';
+        return `<${node.tag}${attributes}>${serialize(node.children)}</${node.tag}>`;
+    }).join('');
+
+    return serialize(parseHeroText(text).tree);
+}
+
+/**
+ * Lines of hero text as plain strings (split at <br>)
+ * @param {string|import('./section-schema.js').HeroTextNode[]} text
+ * @returns {string[]}
+ */
+function heroTextLines(text) {
+    const lines = [''];
+    const walk = nodes => nodes.forEach(node => {
+        if (typeof node === 'string') {
+            lines[lines.length - 1] += node;
+        } else if (node.tag === 'br') {
+            lines.push('');
+        } else {
+            walk(node.children);
+        }
+    });
+
+    walk(parseHeroText(text).tree);
+    return lines;
+}
+
+/**
+ * Number of explicit lines in hero text (<br> count + 1)
+ * @param {string|import('./section-schema.js').HeroTextNode[]} text
+ * @returns {number}
+ */
+function countHeroLines(text) {
+    return heroTextLines(text).length;
+}
+
+export {
+    ALLOWED_TAGS,
+    HERO_LAYOUT,
+    createHeroElement,
+    parseHeroText,
+    validateHeroText,
+    renderHeroText,
+    heroTextToHtml,
+    heroTextLines,
+    countHeroLines
+};
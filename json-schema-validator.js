@@ -0,0 +1,219 @@
+/**
+ * JSON Schema Validator
+ * Validates values against the subset of JSON Schema the section schemas use:
+ * type, const, enum, properties, required, additionalProperties, items,
+ * anyOf/oneOf, minimum/maximum and local $refs (#/$defs/...).
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - Location of the problem, e.g. 'sections[0].layers[1].position'
+ * @property {string} code - Machine-readable issue code, e.g. 'unknown-property'
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Append a property name or array index to a path
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolve a local $ref against the root document
+ * @param {Object} schema
+ * @param {Object} root
+ * @returns {Object}
+ */
+function resolveRef(schema, root) {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+        const segments = resolved.$ref.replace(/^#\//, '').split('/');
+        const target = segments.reduce((node, segment) => node?.[segment], root);
+        if (!target) {
+            throw new Error(`Unresolvable $ref "${resolved.$ref}"`);
+        }
+        // Keep annotations (description/default) from the referencing schema
+        const { $ref, ...rest } = resolved;
+        resolved = { ...target, ...rest };
+    }
+    return resolved;
+}
+
+/**
+ * JSON type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Whether a value matches a JSON Schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Edit distance between two strings (for "did you mean" hints)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Closest known name to a misspelled one
+ * @param {string} name
+ * @param {string[]} known
+ * @returns {string|null}
+ */
+function suggest(name, known) {
+    const scored = known
+        .map(candidate => ({ candidate, distance: editDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance);
+    return scored[0] && scored[0].distance <= 2 ? scored[0].candidate : null;
+}
+
+/**
+ * Pick the anyOf branch whose "type" const matches the value (e.g. layer types)
+ * @param {*} value
+ * @param {Object[]} branches - Resolved branch schemas
+ * @returns {{discriminated: boolean, branch: Object|null, options: string[]}}
+ */
+function discriminate(value, branches) {
+    const options = branches.map(branch => branch.properties?.type?.const);
+    if (options.some(option => option === undefined) || typeOf(value) !== 'object') {
+        return { discriminated: false, branch: null, options };
+    }
+    const index = options.indexOf(value.type);
+    return { discriminated: true, branch: index === -1 ? null : branches[index], options };
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {Object} [options.root=schema] - Document that $refs resolve against
+ * @param {string} [options.path=''] - Path of the value, prefixed to every issue
+ * @returns {ValidationIssue[]}
+ */
+function validateJson(value, schema, { root = schema, path = '' } = {}) {
+    const resolved = resolveRef(schema, root);
+    const issues = [];
+    const where = path || 'value';
+
+    const branches = resolved.anyOf || resolved.oneOf;
+    if (branches) {
+        const options = branches.map(branch => resolveRef(branch, root));
+        const choice = discriminate(value, options);
+
+        if (choice.discriminated) {
+            if (!choice.branch) {
+                issues.push({
+                    path: joinPath(path, 'type'),
+                    code: 'enum',
+                    message: `${joinPath(where, 'type')} "${value.type}" must be one of ${choice.options.join(', ')}`
+                });
+                return issues;
+            }
+            return validateJson(value, choice.branch, { root, path });
+        }
+
+        const results = options.map(option => validateJson(value, option, { root, path }));
+        if (results.some(result => result.length === 0)) return issues;
+
+        // Report the branch of the right JSON type, if exactly one fits
+        const typed = results.filter((result, idx) => !options[idx].type || matchesType(value, options[idx].type));
+        if (typed.length === 1) return typed[0];
+
+        issues.push({ path, code: 'any-of', message: `${where} does not match any allowed shape` });
+        return issues;
+    }
+
+    if (resolved.type && !matchesType(value, resolved.type)) {
+        issues.push({ path, code: 'type', message: `${where} must be ${/^[aeiou]/.test(resolved.type) ? 'an' : 'a'} ${resolved.type}` });
+        return issues;
+    }
+
+    if ('const' in resolved && value !== resolved.const) {
+        issues.push({ path, code: 'const', message: `${where} must be "${resolved.const}"` });
+    }
+
+    if (resolved.enum && !resolved.enum.includes(value)) {
+        issues.push({ path, code: 'enum', message: `${where} "${value}" must be one of ${resolved.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (resolved.minimum !== undefined && value < resolved.minimum) {
+            issues.push({ path, code: 'minimum', message: `${where} ${value} is below the minimum of ${resolved.minimum}` });
+        }
+        if (resolved.maximum !== undefined && value > resolved.maximum) {
+            issues.push({ path, code: 'maximum', message: `${where} ${value} exceeds the maximum of ${resolved.maximum}` });
+        }
+    }
+
+    if (typeOf(value) === 'array' && resolved.items) {
+        value.forEach((item, idx) => {
+            issues.push(...validateJson(item, resolved.items, { root, path: joinPath(path, idx) }));
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = resolved.properties || {};
+
+        (resolved.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                issues.push({ path: joinPath(path, name), code: 'required', message: `${where} is missing required property "${name}"` });
+            }
+        });
+
+        Object.entries(value).forEach(([name, propertyValue]) => {
+            const propertyPath = joinPath(path, name);
+
+            if (properties[name]) {
+                issues.push(...validateJson(propertyValue, properties[name], { root, path: propertyPath }));
+            } else if (resolved.additionalProperties === false) {
+                const hint = suggest(name, Object.keys(properties));
+                issues.push({
+                    path: propertyPath,
+                    code: 'unknown-property',
+                    message: `${where} has unknown property "${name}"${hint ? ` (did you mean "${hint}"?)` : ''}`
+                });
+            } else if (typeof resolved.additionalProperties === 'object') {
+                issues.push(...validateJson(propertyValue, resolved.additionalProperties, { root, path: propertyPath }));
+            }
+        });
+    }
+
+    return issues;
+}
+
+export { validateJson, joinPath };
@@ -3,6 +3,8 @@
  * Utilities for common layout patterns that respect hero zone protection
  */
 
+import { resolveLength } from './css-length.js';
+
 /**
  * Preset position configurations
  * These ensure visual elements don't overlap with the centered hero zone
@@ -193,6 +195,36 @@ function circularPositions(count, options = {}) {
     return positions;
 }
 
+/**
+ * Resolve a position (from a preset or a helper above) to pixels
+ * top/right/bottom/left may be any CSS length (e.g. the calc() strings from
+ * circularPositions); percentages refer to the viewport, and translate
+ * percentages in `transform` refer to the element's size.
+ * @param {{top?: string, right?: string, bottom?: string, left?: string, transform?: string}} position
+ * @param {{width: number, height: number}} viewport - px
+ * @param {{width: number, height: number}} [size] - Element size in px (needed for right/bottom/translate)
+ * @returns {{top: number, left: number}|null} Top-left corner, or null if a value can't be resolved
+ */
+function resolvePosition(position, viewport, size = { width: 0, height: 0 }) {
+    const horizontal = value => resolveLength(value, { viewport, percentOf: viewport.width });
+    const vertical = value => resolveLength(value, { viewport, percentOf: viewport.height });
+
+    let left = position.left !== undefined
+        ? horizontal(position.left)
+        : viewport.width - horizontal(position.right ?? '0') - size.width;
+    let top = position.top !== undefined
+        ? vertical(position.top)
+        : viewport.height - vertical(position.bottom ?? '0') - size.height;
+
+    for (const [, axis, args] of (position.transform || '').matchAll(/translate(X|Y)?\(([^)]*)\)/g)) {
+        const [x, y = '0'] = axis === 'Y' ? ['0', args] : args.split(',').map(arg => arg.trim());
+        left += resolveLength(x, { viewport, percentOf: size.width });
+        if (axis !== 'X') top += resolveLength(y, { viewport, percentOf: size.height });
+    }
+
+    return Number.isNaN(left) || Number.isNaN(top) ? null : { top, left };
+}
+
 /**
  * Convert positioning helper output to CSS string
  * @param {Object} styleObj - Style object
@@ -232,6 +264,7 @@ export {
     gridLayout,
     scatteredPositions,
     circularPositions,
+    resolvePosition,
     toCSSString,
     responsivePosition
 };
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * Asset manifest generator and checker
+ * Records every image in the repo with its intrinsic size (read from the
+ * PNG/GIF/JPEG header, without decoding) and byte size, then checks the
+ * section schema against it:
+ *   - an image layer whose src has no file is an error (exit 1, nothing written)
+ *   - images over the byte budget are flagged, so heavy assets get noticed
+ *
+ * The overlap validator uses the sizes for `height: auto` images, and
+ * validateSchema(schema, { assets }) runs the same src checks.
+ *
+ * Outputs:
+ *   asset-manifest.json  - { maxBytes, images: { [path]: { width, height, bytes } } }
+ *   asset-manifest.js    - ES module used by section-validator.js
+ *
+ * Usage: node scripts/asset-manifest.mjs [--schema sections.json] [--max-bytes 1000000] [--check]
+ *   --max-bytes  per-image budget (default 1 MB)
+ *   --check      exit 1 if the manifest is out of date (for CI)
+ */
+
+import { readFileSync, writeFileSync, existsSync, openSync, readSync, closeSync, readdirSync, statSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, resolve, relative, extname, sep } from 'node:path';
+import { parseSchemaDocument, resolveAndValidate, isSchemaLoadError } from '../section-loader.js';
+import { validateSchema, imageAssetPath } from '../section-schema.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const JSON_OUT = join(ROOT, 'asset-manifest.json');
+const MODULE_OUT = join(ROOT, 'asset-manifest.js');
+const HEADER_BYTES = 64 * 1024; // enough to reach a JPEG's SOF marker in practice
+const IMAGE_EXTENSIONS = ['.png', '.gif', '.jpg', '.jpeg'];
+const SKIP_DIRECTORIES = ['.git', 'node_modules', 'prototypes'];
+const DEFAULT_MAX_BYTES = 1000000;
+
+/**
+ * Value of a --flag argument
+ * @param {string} name
+ * @param {string} fallback
+ * @returns {string}
+ */
+function option(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Intrinsic size from an image file's header
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{width: number, height: number}|null} null for unsupported formats
+ */
+function readImageSize(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // PNG: signature, then the IHDR chunk's width and height (big-endian)
+    if (bytes.length >= 24 && view.getUint32(0) === 0x89504E47 && view.getUint32(12) === 0x49484452) {
+        return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+
+    // GIF: logical screen size (little-endian)
+    if (bytes.length >= 10 && String.fromCharCode(...bytes.subarray(0, 4)) === 'GIF8') {
+        return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    }
+
+    // JPEG: walk the segments to the first start-of-frame marker
+    if (bytes.length >= 4 && view.getUint16(0) === 0xFFD8) {
+        let offset = 2;
+        while (offset + 9 <= bytes.length) {
+            if (bytes[offset] !== 0xFF) return null;
+            const marker = bytes[offset + 1];
+            const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+            if (isStartOfFrame) {
+                return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * First bytes of a file
+ * @param {string} file
+ * @returns {Uint8Array}
+ */
+function readHeader(file) {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const fd = openSync(file, 'r');
+    try {
+        const length = readSync(fd, buffer, 0, HEADER_BYTES, 0);
+        return buffer.subarray(0, length);
+    } finally {
+        closeSync(fd);
+    }
+}
+
+/**
+ * Image files under a directory, as repo-relative paths with forward slashes
+ * @param {string} directory
+ * @returns {string[]}
+ */
+function findImages(directory) {
+    return readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const path = join(directory, entry.name);
+        if (entry.isDirectory()) {
+            return SKIP_DIRECTORIES.includes(entry.name) ? [] : findImages(path);
+        }
+        return IMAGE_EXTENSIONS.includes(extname(entry.name).toLowerCase())
+            ? [relative(ROOT, path).split(sep).join('/')]
+            : [];
+    });
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    return `${(bytes / 1e6).toFixed(1)} MB`;
+}
+
+const schemaFile = resolve(ROOT, option('--schema', 'sections.json'));
+const maxBytes = Number(option('--max-bytes', String(DEFAULT_MAX_BYTES)));
+if (!Number.isFinite(maxBytes) || maxBytes <= 0) {
+    console.error('--max-bytes must be a positive number');
+    process.exit(1);
+}
+
+let schema;
+try {
+    ({ schema } = resolveAndValidate(parseSchemaDocument(readFileSync(schemaFile, 'utf8'), { url: schemaFile })));
+} catch (error) {
+    console.error(isSchemaLoadError(error) ? error.message : error);
+    process.exit(1);
+}
+
+const images = {};
+findImages(ROOT).sort().forEach(file => {
+    const size = readImageSize(readHeader(join(ROOT, file)));
+    if (!size) {
+        console.warn(`Skipping ${file}: unreadable image header`);
+        return;
+    }
+    images[file] = { ...size, bytes: statSync(join(ROOT, file)).size };
+});
+
+const manifest = { maxBytes, images };
+
+const used = new Set(schema.sections.flatMap(section => (section.layers || [])
+    .filter(layer => layer.type === 'image' && typeof layer.src === 'string')
+    .map(layer => imageAssetPath(layer.src))));
+Object.entries(images)
+    .filter(([, image]) => image.bytes > maxBytes)
+    .forEach(([file, image]) => {
+        const note = used.has(file) ? ' - used by the schema' : '';
+        console.warn(`Oversized: ${file} is ${formatBytes(image.bytes)} (budget ${formatBytes(maxBytes)})${note}`);
+    });
+
+const broken = validateSchema(schema, { strict: true, assets: manifest }).errors
+    .filter(issue => issue.code === 'missing-asset');
+if (broken.length > 0) {
+    broken.forEach(issue => console.error(`${schemaFile}: ${issue.path}: ${issue.message}`));
+    console.error(`${broken.length} broken image reference${broken.length === 1 ? '' : 's'}`);
+    process.exit(1);
+}
+
+const json = `${JSON.stringify(manifest, null, 2)}\n`;
+const module = [
+    '// Generated from the repo\'s images by scripts/asset-manifest.mjs - do not edit',
+    `const assetManifest = ${JSON.stringify(manifest, null, 4)};`,
+    '',
+    'export { assetManifest };',
+    ''
+].join('\n');
+
+if (process.argv.includes('--check')) {
+    const stale = [[JSON_OUT, json], [MODULE_OUT, module]]
+        .filter(([file, contents]) => !existsSync(file) || readFileSync(file, 'utf8') !== contents)
+        .map(([file]) => file);
+
+    if (stale.length > 0) {
+        console.error(`Out of date: ${stale.join(', ')}\nRun: node scripts/asset-manifest.mjs`);
+        process.exit(1);
+    }
+    console.log('Asset manifest is up to date');
+} else {
+    writeFileSync(JSON_OUT, json);
+    writeFileSync(MODULE_OUT, module);
+    console.log(`Wrote ${Object.keys(images).length} images to ${JSON_OUT} and ${MODULE_OUT}`);
+}
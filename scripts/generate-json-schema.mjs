@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * JSON Schema generator
+ * Reads the @typedef blocks in section-schema.js and writes the equivalent
+ * JSON Schema, so the typedefs stay the single source of truth.
+ *
+ * Outputs:
+ *   section-schema.json           - the resolved schema validateSchema checks
+ *   section-json-schema.js        - ES module used by validateSchema's strict mode
+ *   section-document-schema.json  - for editors ("$schema": "./section-document-schema.json"):
+ *                                   the document format section-loader.js reads, with
+ *                                   fragments, { "$ref" } sections/layers and "$..."
+ *                                   expressions in numeric fields
+ *
+ * Usage: node scripts/generate-json-schema.mjs [--check]
+ *   --check  exit 1 if the generated files are out of date (for CI)
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = join(ROOT, 'section-schema.js');
+const JSON_OUT = join(ROOT, 'section-schema.json');
+const MODULE_OUT = join(ROOT, 'section-json-schema.js');
+const DOCUMENT_OUT = join(ROOT, 'section-document-schema.json');
+const ROOT_TYPE = 'SectionSchema';
+
+/**
+ * Split a JSDoc type expression into tokens
+ * @param {string} source - e.g. "'a'|'b'|Foo[]|{in?: Bar}"
+ * @returns {string[]}
+ */
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|\[\]|[A-Za-z_$][\w$.]*|[|{}:?,<>()*])/y;
+    let match;
+    while (pattern.lastIndex < source.length && (match = pattern.exec(source))) {
+        tokens.push(match[1]);
+    }
+    if (pattern.lastIndex < source.trimEnd().length) {
+        throw new Error(`Cannot parse type "${source}"`);
+    }
+    return tokens;
+}
+
+/**
+ * Parse a JSDoc type expression into JSON Schema
+ * @param {string} source
+ * @returns {Object}
+ */
+function parseType(source) {
+    const tokens = tokenize(source);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const expect = token => {
+        if (tokens[pos] !== token) {
+            throw new Error(`Expected "${token}" in type "${source}"`);
+        }
+        pos++;
+    };
+
+    function parseUnion() {
+        const branches = [parsePostfix()];
+        while (peek() === '|') {
+            pos++;
+            branches.push(parsePostfix());
+        }
+        return simplifyUnion(branches);
+    }
+
+    function parsePostfix() {
+        let schema = parsePrimary();
+        while (peek() === '[]') {
+            pos++;
+            schema = { type: 'array', items: schema };
+        }
+        return schema;
+    }
+
+    function parsePrimary() {
+        const token = tokens[pos++];
+
+        if (token === '(') {
+            const inner = parseUnion();
+            expect(')');
+            return inner;
+        }
+        if (token === '{') {
+            return parseObjectLiteral();
+        }
+        if (token === '*') {
+            return {};
+        }
+        if (/^['"]/.test(token)) {
+            return { const: token.slice(1, -1) };
+        }
+
+        if (token === 'Array' && peek() === '<') {
+            pos++;
+            const items = parseUnion();
+            expect('>');
+            return { type: 'array', items };
+        }
+        if (token === 'Object' && peek() === '<') {
+            pos++;
+            parseUnion(); // key type - always string in JSON
+            expect(',');
+            const values = parseUnion();
+            expect('>');
+            return { type: 'object', additionalProperties: values };
+        }
+
+        switch (token) {
+            case 'string': return { type: 'string' };
+            case 'number': return { type: 'number' };
+            case 'boolean': return { type: 'boolean' };
+            case 'null': return { type: 'null' };
+            case 'Object': return { type: 'object' };
+            case 'Array': return { type: 'array' };
+            default: return { $ref: `#/$defs/${token}` };
+        }
+    }
+
+    function parseObjectLiteral() {
+        const properties = {};
+        const required = [];
+
+        while (peek() !== '}') {
+            const name = tokens[pos++];
+            const optional = peek() === '?';
+            if (optional) pos++;
+            expect(':');
+            properties[name] = parseUnion();
+            if (!optional) required.push(name);
+            if (peek() === ',') pos++;
+        }
+        expect('}');
+
+        return {
+            type: 'object',
+            properties,
+            ...(required.length > 0 ? { required } : {}),
+            additionalProperties: false
+        };
+    }
+
+    const schema = parseUnion();
+    if (pos !== tokens.length) {
+        throw new Error(`Unexpected "${tokens[pos]}" in type "${source}"`);
+    }
+    return schema;
+}
+
+/**
+ * Collapse literal branches into a single enum
+ * @param {Object[]} branches
+ * @returns {Object}
+ */
+function simplifyUnion(branches) {
+    if (branches.length === 1) return branches[0];
+
+    const literals = branches.filter(branch => 'const' in branch).map(branch => branch.const);
+    const others = branches.filter(branch => !('const' in branch));
+    const literalSchema = literals.length > 0 ? { type: 'string', enum: literals } : null;
+
+    if (others.length === 0) return literalSchema;
+    return { anyOf: literalSchema ? [literalSchema, ...others] : others };
+}
+
+/**
+ * Parse a JSDoc default value ("'center'", "0", "true")
+ * @param {string} raw
+ * @returns {*}
+ */
+function parseDefault(raw) {
+    if (/^'.*'$/.test(raw)) return raw.slice(1, -1);
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Numeric bounds stated in a property description, e.g. "(0-1)" or "max 50"
+ * @param {string} description
+ * @returns {{minimum?: number, maximum?: number}}
+ */
+function boundsFromDescription(description) {
+    const range = description.match(/\((-?\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)\)/);
+    if (range) {
+        return { minimum: Number(range[1]), maximum: Number(range[2]) };
+    }
+    const max = description.match(/\bmax (\d+(?:\.\d+)?)/);
+    return max ? { maximum: Number(max[1]) } : {};
+}
+
+/**
+ * Read every @typedef block from source into JSON Schema definitions
+ * @param {string} source - Contents of section-schema.js
+ * @returns {Object<string, Object>}
+ */
+function parseTypedefs(source) {
+    const defs = {};
+    const blocks = source.match(/\/\*\*[\s\S]*?\*\//g) || [];
+
+    blocks.forEach(block => {
+        const lines = block
+            .replace(/^\/\*\*|\*\/$/g, '')
+            .split('\n')
+            .map(line => line.replace(/^\s*\* ?/, '').trim())
+            .filter(Boolean);
+
+        const typedefLine = lines.find(line => line.startsWith('@typedef'));
+        if (!typedefLine) return;
+
+        const typedef = typedefLine.match(/^@typedef\s+\{(.+)\}\s+(\w+)/);
+        if (!typedef) {
+            throw new Error(`Cannot parse "${typedefLine}"`);
+        }
+        const [, typeSource, name] = typedef;
+        const description = lines.filter(line => !line.startsWith('@')).join(' ');
+        const propertyLines = lines.filter(line => line.startsWith('@property'));
+
+        if (typeSource !== 'Object' || propertyLines.length === 0) {
+            defs[name] = { ...parseType(typeSource), ...(description ? { description } : {}) };
+            return;
+        }
+
+        const properties = {};
+        const required = [];
+
+        propertyLines.forEach(line => {
+            const property = line.match(/^@property\s+\{(.+?)\}\s+(\[[^\]]+\]|\w+)(?:\s+-\s+(.*))?$/);
+            if (!property) {
+                throw new Error(`Cannot parse "${line}" in typedef ${name}`);
+            }
+            const [, propertyType, rawName, propertyDescription = ''] = property;
+            const optional = rawName.startsWith('[');
+            const [propertyName, rawDefault] = rawName.replace(/^\[|\]$/g, '').split('=');
+
+            const schema = parseType(propertyType);
+            if (propertyDescription) schema.description = propertyDescription;
+            if (rawDefault !== undefined && parseDefault(rawDefault) !== undefined) {
+                schema.default = parseDefault(rawDefault);
+            }
+            if (schema.type === 'number') {
+                Object.assign(schema, boundsFromDescription(propertyDescription));
+            }
+
+            properties[propertyName] = schema;
+            if (!optional) required.push(propertyName);
+        });
+
+        defs[name] = {
+            type: 'object',
+            ...(description ? { description } : {}),
+            properties,
+            ...(required.length > 0 ? { required } : {}),
+            additionalProperties: false
+        };
+    });
+
+    return defs;
+}
+
+/**
+ * Build the full JSON Schema document
+ * @param {string} source - Contents of section-schema.js
+ * @returns {Object}
+ */
+function buildJsonSchema(source) {
+    const defs = parseTypedefs(source);
+    if (!defs[ROOT_TYPE]) {
+        throw new Error(`section-schema.js has no @typedef ${ROOT_TYPE}`);
+    }
+
+    // Let schema documents point editors at this file
+    defs[ROOT_TYPE].properties = {
+        $schema: { type: 'string', description: 'Path or URL of this JSON Schema' },
+        ...defs[ROOT_TYPE].properties
+    };
+
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'Fullscreen section schema',
+        description: 'Generated from the typedefs in section-schema.js by scripts/generate-json-schema.mjs - do not edit',
+        $ref: `#/$defs/${ROOT_TYPE}`,
+        $defs: defs
+    };
+}
+
+/**
+ * Copy of a schema with every number schema also accepting an expression string
+ * @param {*} schema
+ * @returns {*}
+ */
+function allowExpressions(schema) {
+    if (Array.isArray(schema)) return schema.map(allowExpressions);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const copy = Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, allowExpressions(value)]));
+    if (copy.type !== 'number') return copy;
+
+    const { description, default: defaultValue, ...number } = copy;
+    return {
+        anyOf: [number, { $ref: '#/$defs/Expression' }],
+        ...(description ? { description } : {}),
+        ...(defaultValue !== undefined ? { default: defaultValue } : {})
+    };
+}
+
+/**
+ * Build the editor schema for documents before section-loader.js resolves them
+ * @param {Object} jsonSchema - From buildJsonSchema
+ * @returns {Object}
+ */
+function buildDocumentSchema(jsonSchema) {
+    const defs = allowExpressions(jsonSchema.$defs);
+
+    defs.Expression = {
+        type: 'string',
+        pattern: '^\\$(?:timing\\.|height\\b)',
+        description: 'Expression evaluated by section-loader.js, e.g. "$timing.PANEL_FADE_IN * 2" or "$height + 50"'
+    };
+    defs.FragmentRef = {
+        type: 'object',
+        description: 'Reference to a shared fragment; sibling keys override the fragment\'s values',
+        properties: {
+            $ref: { type: 'string', pattern: '^#/', description: 'Local reference, e.g. "#/fragments/name"' }
+        },
+        required: ['$ref']
+    };
+
+    defs.Layer = { ...defs.Layer, anyOf: [...defs.Layer.anyOf, { $ref: '#/$defs/FragmentRef' }] };
+    defs.SectionSchema.properties = {
+        $schema: defs.SectionSchema.properties.$schema,
+        fragments: {
+            type: 'object',
+            description: 'Reusable objects for { "$ref": "#/fragments/name" } (removed when the document is loaded)',
+            additionalProperties: { type: 'object' }
+        },
+        ...defs.SectionSchema.properties,
+        sections: {
+            ...defs.SectionSchema.properties.sections,
+            items: { anyOf: [{ $ref: '#/$defs/Section' }, { $ref: '#/$defs/FragmentRef' }] }
+        }
+    };
+
+    return {
+        ...jsonSchema,
+        title: 'Fullscreen section schema document',
+        description: 'Section schema documents as written, before section-loader.js resolves fragments and expressions. ' +
+            jsonSchema.description,
+        $defs: defs
+    };
+}
+
+const jsonSchema = buildJsonSchema(readFileSync(SOURCE, 'utf8'));
+const json = `${JSON.stringify(jsonSchema, null, 2)}\n`;
+const documentJson = `${JSON.stringify(buildDocumentSchema(jsonSchema), null, 2)}\n`;
+const module = [
+    '// Generated from the typedefs in section-schema.js by scripts/generate-json-schema.mjs - do not edit',
+    `const sectionJsonSchema = ${JSON.stringify(jsonSchema, null, 4)};`,
+    '',
+    'export { sectionJsonSchema };',
+    ''
+].join('\n');
+
+if (process.argv.includes('--check')) {
+    const stale = [[JSON_OUT, json], [MODULE_OUT, module], [DOCUMENT_OUT, documentJson]]
+        .filter(([file, contents]) => !existsSync(file) || readFileSync(file, 'utf8') !== contents)
+        .map(([file]) => file);
+
+    if (stale.length > 0) {
+        console.error(`Out of date: ${stale.join(', ')}\nRun: node scripts/generate-json-schema.mjs`);
+        process.exit(1);
+    }
+    console.log('JSON Schema is up to date');
+} else {
+    writeFileSync(JSON_OUT, json);
+    writeFileSync(MODULE_OUT, module);
+    writeFileSync(DOCUMENT_OUT, documentJson);
+    console.log(`Wrote ${JSON_OUT}, ${MODULE_OUT} and ${DOCUMENT_OUT}`);
+}
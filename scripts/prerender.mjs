@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Section pre-renderer
+ * Builds the schema's sections with the DOM shim and writes the resulting
+ * static HTML into index.html, so crawlers and no-JS visitors get the hero
+ * copy and the page doesn't start empty. At runtime
+ * buildAllSections(schema, anchor, { hydrate: true }) attaches scroll
+ * behavior to these nodes instead of rebuilding them (and rebuilds if the
+ * markup no longer matches the schema).
+ *
+ * Output goes between marker comments in the HTML file:
+ *   <!-- prerender:sections --> ... <!-- /prerender:sections -->  section placeholders
+ *   <!-- prerender:layers --> ... <!-- /prerender:layers -->      fixed layers and hero text
+ *
+ * Usage: node scripts/prerender.mjs [--schema sections.json] [--html index.html] [--check] [--stdout]
+ *   --check   exit 1 if the HTML file's pre-rendered markup is out of date (for CI)
+ *   --stdout  print the markup instead of writing the HTML file
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, resolve } from 'node:path';
+import { installDomShim } from '../dom-shim.js';
+import { parseSchemaDocument, resolveAndValidate, isSchemaLoadError } from '../section-loader.js';
+import { prerenderSections } from '../section-builder.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const INDENT = '    ';
+
+/**
+ * Value of a --flag argument
+ * @param {string} name
+ * @param {string} fallback
+ * @returns {string}
+ */
+function option(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Deterministic Math.random replacement (mulberry32) so output is stable
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Replace the content between <!-- name --> and <!-- /name -->
+ * @param {string} html
+ * @param {string} name
+ * @param {string} content - Lines to insert (already indented)
+ * @returns {string}
+ */
+function replaceBetweenMarkers(html, name, content) {
+    const pattern = new RegExp(`(<!-- ${name} -->)[\\s\\S]*?([ \\t]*<!-- /${name} -->)`);
+    if (!pattern.test(html)) {
+        throw new Error(`Missing <!-- ${name} --> ... <!-- /${name} --> markers`);
+    }
+    return html.replace(pattern, (_, open, close) => `${open}\n${content}\n${close}`);
+}
+
+const schemaFile = resolve(ROOT, option('--schema', 'sections.json'));
+const htmlFile = resolve(ROOT, option('--html', 'index.html'));
+
+let schema;
+try {
+    ({ schema } = resolveAndValidate(parseSchemaDocument(readFileSync(schemaFile, 'utf8'), { url: schemaFile })));
+} catch (error) {
+    console.error(isSchemaLoadError(error) ? error.message : error);
+    process.exit(1);
+}
+
+const { document, restore } = installDomShim();
+const random = Math.random;
+Math.random = seededRandom(1);
+
+let containers;
+let bodyNodes;
+try {
+    const anchor = document.body.appendChild(document.createElement('div'));
+    ({ containers, bodyNodes } = prerenderSections(schema, anchor));
+} finally {
+    Math.random = random;
+    restore();
+}
+
+const sectionsMarkup = containers.map(el => `${INDENT}${el.outerHTML}`).join('\n');
+const layersMarkup = bodyNodes.map(el => `${INDENT}${el.outerHTML}`).join('\n');
+
+if (process.argv.includes('--stdout')) {
+    console.log(`${sectionsMarkup}\n${layersMarkup}`);
+    process.exit(0);
+}
+
+const html = readFileSync(htmlFile, 'utf8');
+let output;
+try {
+    output = replaceBetweenMarkers(html, 'prerender:sections', sectionsMarkup);
+    output = replaceBetweenMarkers(output, 'prerender:layers', layersMarkup);
+} catch (error) {
+    console.error(`${htmlFile}: ${error.message}`);
+    process.exit(1);
+}
+
+if (process.argv.includes('--check')) {
+    if (output !== html) {
+        console.error(`Out of date: ${htmlFile}\nRun: node scripts/prerender.mjs`);
+        process.exit(1);
+    }
+    console.log('Pre-rendered sections are up to date');
+} else {
+    writeFileSync(htmlFile, output);
+    console.log(`Wrote ${containers.length} sections to ${htmlFile}`);
+}
@@ -0,0 +1,192 @@
+/**
+ * Scroll Timeline Debugger
+ * Opt-in overlay showing where each section's timing boundaries fall while
+ * scrolling - add ?debug=scroll to the page URL
+ *
+ * A rail on the right edge of the viewport scrolls with the page. The red line
+ * across its middle is the viewport center, which the fade math measures from;
+ * a section's state is whatever band of its timeline sits under that line:
+ *   - section center (distance 0)
+ *   - hold band - full opacity while the line is inside it
+ *   - fade-in (above) and fade-out (below) bands
+ *   - card thresholds from calculateCardThreshold - dashed where a card starts
+ *     fading in, solid where it is fully shown
+ * A readout next to the line shows live opacity, progress and card opacity for
+ * every section in view.
+ *
+ * Usage (see index.html):
+ *   const debug = isScrollDebugEnabled() ? createScrollDebugOverlay() : null;
+ *   setupScrollBehavior(undefined, { onFrame: debug?.onFrame });
+ */
+
+import { calculateSectionFrame } from './section-builder.js';
+import { calculateCardThreshold, calculateFadeZones } from './scroll-timing-config.js';
+import { writeStyle } from './scroll-engine.js';
+
+const RAIL_WIDTH = 160; // px
+
+const COLORS = {
+    hold: 'rgba(46, 160, 67, 0.35)',
+    fade: 'rgba(242, 166, 90, 0.35)',
+    center: '#0B2532',
+    card: '#2F6F9F',
+    playhead: '#D33'
+};
+
+/**
+ * Whether the page URL asks for the overlay (?debug=scroll)
+ * @param {string} [search=window.location.search]
+ * @returns {boolean}
+ */
+function isScrollDebugEnabled(search = window.location.search) {
+    return new URLSearchParams(search).getAll('debug').includes('scroll');
+}
+
+/**
+ * Absolutely positioned box on the rail, in page coordinates
+ * @param {number} top - px
+ * @param {number} height - px (0 for a line)
+ * @param {string} style - Extra CSS
+ * @param {string} [label]
+ * @returns {HTMLElement}
+ */
+function railMark(top, height, style, label) {
+    const el = document.createElement('div');
+    el.style.cssText = `
+        position: absolute;
+        top: ${top}px;
+        left: 0;
+        right: 0;
+        height: ${Math.max(0, height)}px;
+        ${style}
+    `;
+    if (label) {
+        el.textContent = label;
+    }
+    return el;
+}
+
+/**
+ * Draw one section's timeline (hold/fade bands, center, card thresholds)
+ * @param {HTMLElement} track - Rail content, in page coordinates
+ * @param {{entry: Object, top: number, height: number, fade: Object}} item - Cached section layout
+ * @param {number} viewportHeight
+ */
+function drawSection(track, item, viewportHeight) {
+    const { reveal, timing, extraHold, section } = item.entry;
+    const zones = calculateFadeZones(viewportHeight, reveal, timing, item.fade, extraHold);
+    const center = item.top + (item.height / 2);
+
+    track.appendChild(railMark(center - zones.fadeInZone, zones.fadeInZone - zones.holdZone, `background: ${COLORS.fade};`));
+    track.appendChild(railMark(center - zones.holdZone, 2 * zones.holdZone, `background: ${COLORS.hold};`));
+    track.appendChild(railMark(center + zones.holdZone, zones.fadeOutZone - zones.holdZone, `background: ${COLORS.fade};`));
+    track.appendChild(railMark(center, 0, `border-top: 2px solid ${COLORS.center}; padding-left: 4px;`, section.id));
+
+    reveal.forEach((revealItem, itemIndex) => {
+        const { threshold, fadeDistance } = calculateCardThreshold(viewportHeight, itemIndex, reveal, timing);
+        const start = center + threshold;
+
+        track.appendChild(railMark(start, 0, `border-top: 1px dashed ${COLORS.card}; padding-left: 24px; color: ${COLORS.card};`, `card ${itemIndex}`));
+        track.appendChild(railMark(start + fadeDistance, 0, `border-top: 1px solid ${COLORS.card};`));
+    });
+}
+
+/**
+ * Readout lines for the sections currently in view
+ * @param {import('./scroll-engine.js').ScrollFrame} frame
+ * @returns {string}
+ */
+function describeFrame({ scrollY, viewportHeight, layout }) {
+    const lines = [`scrollY ${Math.round(scrollY)}px`];
+
+    layout.forEach(item => {
+        const state = calculateSectionFrame(item, scrollY, viewportHeight);
+        if (!state.inView) return;
+
+        const distance = scrollY + (viewportHeight / 2) - (item.top + item.height / 2);
+        lines.push(`${item.entry.section.id}  opacity ${state.opacity.toFixed(2)}  progress ${state.progress.toFixed(2)}`);
+        lines.push(`  distance ${Math.round(distance)}px`);
+        if (state.items.length > 0) {
+            lines.push(`  cards ${state.items.map(card => card.opacity.toFixed(2)).join(' ')}`);
+        }
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Create the overlay and append it to the page
+ * Pass `onFrame` to setupScrollBehavior; the timeline is redrawn whenever
+ * section geometry is re-measured.
+ * @returns {{onFrame: (frame: import('./scroll-engine.js').ScrollFrame) => void, destroy: () => void}}
+ */
+function createScrollDebugOverlay() {
+    const rail = document.createElement('div');
+    rail.className = 'scroll-debug';
+    rail.style.cssText = `
+        position: fixed;
+        top: 0;
+        right: 0;
+        width: ${RAIL_WIDTH}px;
+        height: 100vh;
+        overflow: hidden;
+        z-index: 10000;
+        pointer-events: none;
+        background: rgba(255, 255, 255, 0.6);
+        font: 11px/1.4 ui-monospace, Menlo, monospace;
+        color: ${COLORS.center};
+    `;
+
+    const track = document.createElement('div');
+    track.style.cssText = 'position: absolute; top: 0; left: 0; right: 0;';
+    rail.appendChild(track);
+    rail.appendChild(railMark(0, 0, `top: 50%; border-top: 2px solid ${COLORS.playhead};`));
+
+    const readout = document.createElement('pre');
+    readout.className = 'scroll-debug-readout';
+    readout.style.cssText = `
+        position: fixed;
+        top: 50%;
+        right: ${RAIL_WIDTH + 8}px;
+        margin: 8px 0 0;
+        padding: 6px 8px;
+        z-index: 10000;
+        pointer-events: none;
+        background: rgba(255, 255, 255, 0.9);
+        border-left: 3px solid ${COLORS.playhead};
+        font: 11px/1.4 ui-monospace, Menlo, monospace;
+        color: ${COLORS.center};
+    `;
+
+    document.body.appendChild(rail);
+    document.body.appendChild(readout);
+
+    let drawnLayout = null;
+
+    function onFrame(frame) {
+        // Layout is a new array after every re-measure (resize, rebuilt sections)
+        if (frame.layout !== drawnLayout) {
+            track.textContent = '';
+            frame.layout.forEach(item => drawSection(track, item, frame.viewportHeight));
+            drawnLayout = frame.layout;
+        }
+
+        // Page y maps to rail y - scrollY, so the middle of the rail is the viewport center
+        writeStyle(track, 'transform', `translateY(${-frame.scrollY}px)`);
+
+        const text = describeFrame(frame);
+        if (readout.textContent !== text) {
+            readout.textContent = text;
+        }
+    }
+
+    return {
+        onFrame,
+        destroy() {
+            rail.remove();
+            readout.remove();
+        }
+    };
+}
+
+export { isScrollDebugEnabled, createScrollDebugOverlay };
@@ -0,0 +1,150 @@
+/**
+ * Scroll Engine
+ * Runs scroll-linked updates at most once per animation frame
+ *
+ * - Scroll events only schedule a frame (passive listener, no DOM access)
+ * - Geometry is measured once and cached until resize/orientation change
+ * - IntersectionObserver tracks which targets are near the viewport so
+ *   frames can skip everything that is off-screen
+ */
+
+/**
+ * @typedef {Object} ScrollFrame
+ * @property {number} scrollY - Current window scroll offset in px
+ * @property {number} viewportHeight - Cached viewport height in px
+ * @property {*} layout - Whatever measure() returned (cached between resizes)
+ * @property {(el: Element) => boolean} isNear - Whether a target is within a viewport of the screen
+ */
+
+/**
+ * Create a scroll engine
+ * @param {Object} options
+ * @param {() => Element[]} options.targets - Elements to track for visibility
+ * @param {() => *} options.measure - Read phase: measure layout (called after invalidation only)
+ * @param {(frame: ScrollFrame) => void} options.frame - Write phase: apply styles for this frame
+ * @param {(frame: ScrollFrame) => void} [options.onFrame] - Called after each frame (debug tooling)
+ * @returns {{requestFrame: () => void, invalidate: () => void, destroy: () => void}}
+ */
+function createScrollEngine({ targets, measure, frame, onFrame }) {
+    let layout = null;
+    let viewportHeight = 0;
+    let frameId = null;
+    const near = new Set();
+
+    // Sections are tall, so treat anything within one viewport as "near"
+    const observer = typeof IntersectionObserver === 'function'
+        ? new IntersectionObserver(onIntersect, { rootMargin: '100% 0px' })
+        : null;
+    const resizeObserver = typeof ResizeObserver === 'function'
+        ? new ResizeObserver(() => invalidate())
+        : null;
+
+    function onIntersect(observed) {
+        observed.forEach(item => {
+            if (item.isIntersecting) {
+                near.add(item.target);
+            } else {
+                near.delete(item.target);
+            }
+        });
+        requestFrame();
+    }
+
+    function isNear(el) {
+        return observer ? near.has(el) : true;
+    }
+
+    function observeTargets() {
+        if (!observer) return;
+        observer.disconnect();
+        near.clear();
+        targets().forEach(el => observer.observe(el));
+    }
+
+    function tick() {
+        frameId = null;
+
+        // Read phase - only touches layout after an invalidation
+        if (!layout) {
+            viewportHeight = window.innerHeight;
+            layout = measure();
+        }
+
+        // Write phase
+        const state = { scrollY: window.scrollY, viewportHeight, layout, isNear };
+        frame(state);
+        onFrame?.(state);
+    }
+
+    function requestFrame() {
+        if (frameId === null) {
+            frameId = window.requestAnimationFrame(tick);
+        }
+    }
+
+    /**
+     * Drop cached geometry and re-observe targets (after resize or DOM changes)
+     */
+    function invalidate() {
+        layout = null;
+        requestFrame();
+    }
+
+    function onTargetsChanged() {
+        observeTargets();
+        invalidate();
+    }
+
+    window.addEventListener('scroll', requestFrame, { passive: true });
+    window.addEventListener('resize', invalidate, { passive: true });
+    window.addEventListener('orientationchange', invalidate, { passive: true });
+    window.addEventListener('load', invalidate);
+    resizeObserver?.observe(document.body);
+    observeTargets();
+    requestFrame();
+
+    return {
+        requestFrame,
+        invalidate: onTargetsChanged,
+        destroy() {
+            window.removeEventListener('scroll', requestFrame);
+            window.removeEventListener('resize', invalidate);
+            window.removeEventListener('orientationchange', invalidate);
+            window.removeEventListener('load', invalidate);
+            observer?.disconnect();
+            resizeObserver?.disconnect();
+            if (frameId !== null) {
+                window.cancelAnimationFrame(frameId);
+                frameId = null;
+            }
+        }
+    };
+}
+
+/**
+ * Last value written per element/property, so frames only touch styles that changed
+ * @type {WeakMap<HTMLElement, Object<string, string>>}
+ */
+const writtenStyles = new WeakMap();
+
+/**
+ * Set an inline style property, skipping the write when the value is unchanged
+ * @param {HTMLElement} el
+ * @param {string} property - Style property name (camelCase)
+ * @param {string|number} value
+ */
+function writeStyle(el, property, value) {
+    let written = writtenStyles.get(el);
+    if (!written) {
+        written = {};
+        writtenStyles.set(el, written);
+    }
+
+    const next = String(value);
+    if (written[property] === next) return;
+
+    written[property] = next;
+    el.style[property] = next;
+}
+
+export { createScrollEngine, writeStyle };
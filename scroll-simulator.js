@@ -0,0 +1,295 @@
+/**
+ * Scroll Simulator
+ * Replays the page's scroll-linked fades for a schema without a browser, so
+ * SCROLL_TIMING and per-section scroll settings can be tuned from numbers
+ * instead of by eye.
+ *
+ * Uses the same math as setupScrollBehavior (calculateSectionFrame and the
+ * layer scroll tracks) on the layout the builder produces: sections stacked
+ * in schema order, each as tall as its scroll.height or computed height.
+ *
+ * Example:
+ *   const { report } = simulateScroll(schema, { viewportHeight: 900, start: 2400 });
+ *   report.gaps             // grey stretches where no section is visible
+ *   report.overlaps         // stretches where two sections are visible at once
+ *   report.unrevealedCards  // cards the panel fades before they are fully shown
+ */
+
+import { calculateSectionFrame } from './section-builder.js';
+import { getRevealItems } from './section-renderer.js';
+import { computeSectionHeight, resolveSectionTiming } from './section-schema.js';
+import { calculateCardThreshold, calculateFadeZones, resolveFadeConfig } from './scroll-timing-config.js';
+import { interpolateTrack } from './scroll-tracks.js';
+import { resolveLength } from './css-length.js';
+
+const FULL_OPACITY = 1 - 1e-6; // float tolerance for "reached full opacity"
+
+/**
+ * @typedef {Object} SimulatedSection
+ * @property {string} id
+ * @property {number} top - Page offset of the section's placeholder (px)
+ * @property {number} height - Scroll height (px)
+ * @property {{from: number, to: number}|null} visible - scrollY range with opacity > 0 (exclusive)
+ * @property {number[]} opacity - Section opacity at each offset
+ * @property {number[]} progress - Scroll track progress (0-1) at each offset
+ * @property {Array<{index: number, type: string, opacity: number[], scale: number[]}>} layers - Per schema layer
+ * @property {Array<{index: number, layer: number, opacity: number[], scale: number[]}>} cards - Reveal items;
+ *   opacity is what the visitor sees (item opacity times its layer's)
+ */
+
+/**
+ * @typedef {Object} ScrollReport
+ * @property {Array<{from: number, to: number, length: number, vh: number, after: string, before: string}>} gaps
+ *   Stretches between sections where nothing is visible
+ * @property {Array<{from: number, to: number, length: number, vh: number, sections: string[]}>} overlaps
+ *   Stretches where two sections are visible at once
+ * @property {Array<{section: string, card: number, layer: number, peak: number, message: string}>} unrevealedCards
+ *   Cards that never reach full opacity before their panel fades
+ */
+
+/**
+ * @typedef {Object} ScrollSimulation
+ * @property {number} viewportHeight
+ * @property {number[]} offsets - Sampled scrollY values (px)
+ * @property {SimulatedSection[]} sections
+ * @property {ScrollReport} report
+ */
+
+/**
+ * Layout the builder would produce for a schema, in the shape calculateSectionFrame reads
+ * @param {import('./section-schema.js').SectionSchema} schema
+ * @param {{width: number, height: number}} viewport
+ * @param {number} start - Page offset of the first section
+ * @param {number} [fadeZone] - Page-wide fade distance (setupScrollBehavior argument)
+ * @returns {Array<{section: Object, top: number, height: number, entry: Object, fade: Object}>}
+ */
+function layoutSections(schema, viewport, start, fadeZone) {
+    let top = start;
+
+    return schema.sections.map((section, index) => {
+        const timing = resolveSectionTiming(section, schema.timing);
+        const cssHeight = section.scroll?.height || computeSectionHeight(section, index, schema.sections, schema.timing);
+        const height = resolveLength(cssHeight, { viewport, percentOf: viewport.height });
+        if (Number.isNaN(height)) {
+            throw new Error(`Section "${section.id}": scroll.height "${cssHeight}" is not a CSS length`);
+        }
+
+        const layout = {
+            section,
+            top,
+            height,
+            entry: {
+                reveal: getRevealItems(section),
+                timing,
+                extraHold: index === schema.sections.length - 1 ? timing.LAST_PANEL_EXTRA_HOLD : 0
+            },
+            fade: resolveFadeConfig(section.scroll, timing, fadeZone)
+        };
+        top += height;
+        return layout;
+    });
+}
+
+/**
+ * scrollY at which a section's center is at the viewport center
+ * @param {{top: number, height: number}} layout
+ * @param {number} viewportHeight
+ * @returns {number}
+ */
+function centeredAt(layout, viewportHeight) {
+    return layout.top + (layout.height / 2) - (viewportHeight / 2);
+}
+
+/**
+ * scrollY range over which a section is drawn at all (opacity > 0)
+ * @param {Object} layout - From layoutSections
+ * @param {number} viewportHeight
+ * @returns {{from: number, to: number}|null}
+ */
+function visibleRange(layout, viewportHeight) {
+    const zones = calculateFadeZones(viewportHeight, layout.entry.reveal, layout.entry.timing, layout.fade, layout.entry.extraHold);
+    const center = centeredAt(layout, viewportHeight);
+
+    // Fade edges, cut to where the placeholder is on screen (hidden otherwise)
+    const from = Math.max(center - zones.fadeInZone, layout.top - viewportHeight);
+    const to = Math.min(center + zones.fadeOutZone, layout.top + layout.height);
+
+    return from < to ? { from, to } : null;
+}
+
+/**
+ * What a visitor sees of one section at a scroll offset
+ * Mirrors applySectionFrame: untracked layers take the section opacity, tracked
+ * layers multiply in their keyframed opacity, and cards sit inside their layer.
+ * @param {Object} layout - From layoutSections
+ * @param {number} scrollY
+ * @param {number} viewportHeight
+ * @returns {{opacity: number, progress: number, layers: Array<{opacity: number, scale: number}>, cards: Array<{opacity: number, scale: number}>}}
+ */
+function sampleSection(layout, scrollY, viewportHeight) {
+    const state = calculateSectionFrame(layout, scrollY, viewportHeight);
+
+    const layers = layout.section.layers.map(layer => {
+        if (!state.inView) return { opacity: 0, scale: 1 };
+        if (!layer.scrollTrack) return { opacity: state.opacity, scale: 1 };
+
+        const values = interpolateTrack(layer.scrollTrack, state.progress);
+        return { opacity: state.opacity * (values.opacity ?? 1), scale: values.scale ?? 1 };
+    });
+
+    const cards = layout.entry.reveal.map((item, itemIndex) => {
+        const itemState = state.items[itemIndex] || { opacity: 0, scale: 0.8 };
+        return { opacity: itemState.opacity * layers[item.layer].opacity, scale: itemState.scale };
+    });
+
+    return { opacity: state.opacity, progress: state.progress, layers, cards };
+}
+
+/**
+ * Grey stretches between sections where nothing is visible
+ * @param {Array<{id: string, visible: {from: number, to: number}}>} ranges - Sorted by `from`
+ * @param {number} viewportHeight
+ * @returns {ScrollReport['gaps']}
+ */
+function findGaps(ranges, viewportHeight) {
+    const gaps = [];
+    let covered = ranges[0];
+
+    ranges.slice(1).forEach(range => {
+        if (range.visible.from > covered.visible.to) {
+            const length = range.visible.from - covered.visible.to;
+            gaps.push({
+                from: covered.visible.to,
+                to: range.visible.from,
+                length,
+                vh: length / viewportHeight,
+                after: covered.id,
+                before: range.id
+            });
+        }
+        if (range.visible.to > covered.visible.to) covered = range;
+    });
+
+    return gaps;
+}
+
+/**
+ * Stretches where two sections are visible at once
+ * @param {Array<{id: string, visible: {from: number, to: number}}>} ranges
+ * @param {number} viewportHeight
+ * @returns {ScrollReport['overlaps']}
+ */
+function findOverlaps(ranges, viewportHeight) {
+    const overlaps = [];
+
+    ranges.forEach((a, i) => {
+        ranges.slice(i + 1).forEach(b => {
+            const from = Math.max(a.visible.from, b.visible.from);
+            const to = Math.min(a.visible.to, b.visible.to);
+            if (from < to) {
+                overlaps.push({ from, to, length: to - from, vh: (to - from) / viewportHeight, sections: [a.id, b.id] });
+            }
+        });
+    });
+
+    return overlaps;
+}
+
+/**
+ * Simulate scrolling through a schema's sections
+ * @param {import('./section-schema.js').SectionSchema} schema - Resolved schema (see section-loader.js)
+ * @param {Object} [options]
+ * @param {number} [options.viewportHeight=900] - px
+ * @param {number} [options.viewportWidth=1440] - px, only used to resolve vw/vmin/vmax heights
+ * @param {number} [options.fadeZone] - Page-wide fade distance in vh, as passed to setupScrollBehavior
+ * @param {number} [options.start=0] - Page offset of the first section (content above it)
+ * @param {number} [options.step=10] - Sampling interval in px
+ * @returns {ScrollSimulation}
+ */
+function simulateScroll(schema, {
+    viewportHeight = 900,
+    viewportWidth = 1440,
+    fadeZone,
+    start = 0,
+    step = 10
+} = {}) {
+    if (!(step > 0)) throw new Error('step must be a positive number of px');
+
+    const viewport = { width: viewportWidth, height: viewportHeight };
+    const layouts = layoutSections(schema, viewport, start, fadeZone);
+    const ranges = layouts.map(layout => ({ id: layout.section.id, visible: visibleRange(layout, viewportHeight) }));
+
+    // Sample from the first fade-in to the last fade-out (the page can't scroll above 0)
+    const visible = ranges.filter(range => range.visible);
+    const first = Math.max(0, Math.min(...visible.map(range => range.visible.from)));
+    const last = Math.max(first, ...visible.map(range => range.visible.to));
+    const offsets = [];
+    for (let scrollY = Math.floor(first); scrollY <= Math.ceil(last); scrollY += step) {
+        offsets.push(scrollY);
+    }
+
+    const sections = layouts.map((layout, index) => {
+        const samples = offsets.map(scrollY => sampleSection(layout, scrollY, viewportHeight));
+
+        return {
+            id: layout.section.id,
+            top: layout.top,
+            height: layout.height,
+            visible: ranges[index].visible,
+            opacity: samples.map(sample => sample.opacity),
+            progress: samples.map(sample => sample.progress),
+            layers: layout.section.layers.map((layer, layerIndex) => ({
+                index: layerIndex,
+                type: layer.type,
+                opacity: samples.map(sample => sample.layers[layerIndex].opacity),
+                scale: samples.map(sample => sample.layers[layerIndex].scale)
+            })),
+            cards: layout.entry.reveal.map((item, itemIndex) => ({
+                index: itemIndex,
+                layer: item.layer,
+                opacity: samples.map(sample => sample.cards[itemIndex].opacity),
+                scale: samples.map(sample => sample.cards[itemIndex].scale)
+            }))
+        };
+    });
+
+    // Check each card at the exact offset it finishes fading in, not just the samples
+    const unrevealedCards = [];
+    layouts.forEach((layout, index) => {
+        const { reveal, timing } = layout.entry;
+        reveal.forEach((item, itemIndex) => {
+            const { threshold, fadeDistance } = calculateCardThreshold(viewportHeight, itemIndex, reveal, timing);
+            const fullAt = centeredAt(layout, viewportHeight) + threshold + fadeDistance;
+            const peak = Math.max(
+                sampleSection(layout, fullAt, viewportHeight).cards[itemIndex].opacity,
+                ...sections[index].cards[itemIndex].opacity
+            );
+
+            if (peak < FULL_OPACITY) {
+                unrevealedCards.push({
+                    section: layout.section.id,
+                    card: itemIndex,
+                    layer: item.layer,
+                    peak,
+                    message: `Section ${index} (${layout.section.id}): card ${itemIndex} peaks at ` +
+                        `${Math.round(peak * 100)}% opacity - the panel fades before it is fully revealed`
+                });
+            }
+        });
+    });
+
+    const sorted = [...visible].sort((a, b) => a.visible.from - b.visible.from);
+
+    return {
+        viewportHeight,
+        offsets,
+        sections,
+        report: {
+            gaps: sorted.length > 0 ? findGaps(sorted, viewportHeight) : [],
+            overlaps: findOverlaps(sorted, viewportHeight),
+            unrevealedCards
+        }
+    };
+}
+
+export { simulateScroll };
@@ -3,7 +3,8 @@
  * All timing values in viewport height (vh) units for consistency across screen sizes
  *
  * Adjust these values to fine-tune the entire page experience.
- * Changes here apply consistently to ALL sections.
+ * Changes here apply consistently to ALL sections, unless the schema picks a
+ * preset (TIMING_PRESETS) or a section overrides individual values.
  */
 
 export const SCROLL_TIMING = {
@@ -25,71 +26,220 @@ export const SCROLL_TIMING = {
     LAST_PANEL_EXTRA_HOLD: 0.2, // vh - extra hold time for last panel
 };
 
+/**
+ * Named timing presets
+ * Each preset overrides some SCROLL_TIMING values; anything it leaves out
+ * falls back to the defaults above.
+ */
+export const TIMING_PRESETS = {
+    // Quick scroll-through - short holds, tight grey space
+    brisk: {
+        PANEL_READING_HOLD: 0.8,
+        CARD_READING_HOLD: 0.12,
+        CARD_FADE_DISTANCE: 0.06,
+        PANEL_FADE_IN: 0.25,
+        PANEL_FADE_OUT: 0.25,
+        GREY_SPACE_BETWEEN: 0.5,
+        LAST_PANEL_EXTRA_HOLD: 0.1,
+    },
+
+    // The defaults - tuned for reading one panel at a time
+    reading: {},
+
+    // Slow, deliberate pacing for demos and talks
+    presentation: {
+        PANEL_READING_HOLD: 1.8,
+        CARD_READING_HOLD: 0.35,
+        CARD_FADE_DISTANCE: 0.1,
+        PANEL_FADE_IN: 0.4,
+        PANEL_FADE_OUT: 0.4,
+        GREY_SPACE_BETWEEN: 1.0,
+        LAST_PANEL_EXTRA_HOLD: 0.4,
+    },
+};
+
+/**
+ * Resolve timing from presets and overrides
+ * Sources are applied in order on top of SCROLL_TIMING, so later ones win
+ * (e.g. schema-level timing, then per-section timing).
+ *
+ * @param {...(string|Object|undefined)} sources - Preset name, or { preset?, ...overrides }
+ * @returns {typeof SCROLL_TIMING} Complete timing values
+ */
+export function resolveTiming(...sources) {
+    return sources.reduce((timing, source) => {
+        if (!source) return timing;
+        if (typeof source === 'string') {
+            return { ...timing, ...TIMING_PRESETS[source] };
+        }
+
+        const { preset, ...overrides } = source;
+        return { ...timing, ...(preset ? TIMING_PRESETS[preset] : {}), ...overrides };
+    }, { ...SCROLL_TIMING });
+}
+
+/**
+ * Validate a timing config (preset name or overrides object)
+ * @param {*} source
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateTiming(source) {
+    if (typeof source === 'string') {
+        return TIMING_PRESETS[source] ? [] : [`unknown timing preset "${source}"`];
+    }
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        return ['timing must be a preset name or an object of SCROLL_TIMING overrides'];
+    }
+
+    const errors = [];
+    Object.entries(source).forEach(([key, value]) => {
+        if (key === 'preset') {
+            if (!TIMING_PRESETS[value]) errors.push(`unknown timing preset "${value}"`);
+        } else if (!(key in SCROLL_TIMING)) {
+            errors.push(`unknown timing value "${key}"`);
+        } else if (typeof value !== 'number' || value < 0) {
+            errors.push(`${key} must be a non-negative number (vh)`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Resolve reveal items to per-item timing
+ * Renderers may override the hold/fade of their own items; anything they
+ * leave out uses the card timing above.
+ *
+ * @param {number|Array<{hold?: number, fade?: number}>} [reveal=0] - Item count, or per-item timing in vh
+ * @param {typeof SCROLL_TIMING} [timing=SCROLL_TIMING] - Resolved timing (see resolveTiming)
+ * @returns {Array<{hold: number, fade: number}>} Per-item timing in vh
+ */
+export function resolveRevealTiming(reveal = 0, timing = SCROLL_TIMING) {
+    const T = timing;
+    const items = typeof reveal === 'number'
+        ? Array.from({ length: reveal }, () => ({}))
+        : reveal;
+
+    return items.map(item => ({
+        hold: item.hold ?? T.CARD_READING_HOLD,
+        fade: item.fade ?? T.CARD_FADE_DISTANCE
+    }));
+}
+
 /**
  * Calculate total section height based on content
  *
  * CRITICAL: Grey space is controlled by distance between section centers
- * When section N center is at distance fadeZone from viewport, it's at opacity 0
- * When section N+1 center is at distance fadeZone from viewport, it's at opacity 0
- * For consistent grey space, we need: distance_between_centers = 2*fadeZone + greySpace
+ * calculateFadeZones keeps a section at full opacity while the viewport center
+ * is within holdZone of the section center - on BOTH sides - and fades it over
+ * fadeIn (approaching) / fadeOut (leaving) beyond that. So a section is visible
+ * over 2 * holdZone + fadeIn + fadeOut, and for GREY_SPACE_BETWEEN of grey
+ * between neighbours:
  *
- * Since fadeZone is 0.7vh (set in schema), and we want GREY_SPACE_BETWEEN of grey:
- * Section height = 2 * 0.7 + GREY_SPACE_BETWEEN + content_hold_time
+ * Section height = fadeIn + fadeOut + 2 * (reading hold + reveal items) + GREY_SPACE_BETWEEN
+ *
+ * The last panel's extra hold is part of its hold zone (calculateFadeZones
+ * extraHold), so it is doubled too.
+ * Gaps are exact when fadeIn === fadeOut; otherwise each gap shifts by half the
+ * difference between the fades on either side of it.
+ *
+ * This replaced 2 * fadeZone + GREY_SPACE_BETWEEN + hold with fadeZone
+ * defaulting to 0.7: default panels went from 335vh to 375vh, and the example
+ * last panel from 440vh to 583vh (see FADE_BEHAVIOR.md#section-height).
  *
  * @param {Object} options
- * @param {number} options.cardCount - Number of challenge cards (0 if none)
+ * @param {number} [options.cardCount] - Number of reveal items with default timing (0 if none)
+ * @param {Array<{hold?: number, fade?: number}>} [options.revealItems] - Per-item reveal timing (overrides cardCount)
  * @param {boolean} options.isLastSection - Whether this is the last fullscreen section
- * @param {number} options.fadeZone - The fadeZone value from schema (default 0.7)
+ * @param {number} [options.fadeIn] - Fade-in distance in vh (see resolveFadeConfig)
+ * @param {number} [options.fadeOut] - Fade-out distance in vh (see resolveFadeConfig)
+ * @param {number} [options.fadeZone] - Both fade distances, when fadeIn/fadeOut are omitted
+ * @param {typeof SCROLL_TIMING} [options.timing=SCROLL_TIMING] - Resolved timing (see resolveTiming)
  * @returns {number} Total section height in vh
  */
-export function calculateSectionHeight({ cardCount = 0, isLastSection = false, fadeZone = 0.7 }) {
-    const T = SCROLL_TIMING;
+export function calculateSectionHeight({ cardCount = 0, revealItems, isLastSection = false, fadeIn, fadeOut, fadeZone, timing = SCROLL_TIMING }) {
+    const T = timing;
 
     // Hold time for reading main panel text
     let holdTime = T.PANEL_READING_HOLD;
 
-    // If there are cards, add space for each card appearance + reading
-    if (cardCount > 0) {
-        for (let i = 0; i < cardCount; i++) {
-            holdTime += T.CARD_FADE_DISTANCE; // Fade in
-            holdTime += T.CARD_READING_HOLD;  // Reading time
-        }
-    }
+    // Add space for each reveal item appearance + reading
+    resolveRevealTiming(revealItems ?? cardCount, T).forEach(item => {
+        holdTime += item.fade; // Fade in
+        holdTime += item.hold; // Reading time
+    });
 
     // Extra hold for last panel
     if (isLastSection) {
         holdTime += T.LAST_PANEL_EXTRA_HOLD;
     }
 
-    // Total height = 2 * fadeZone (fade in + fade out ranges) + grey space + hold time
-    const totalHeight = (2 * fadeZone) + T.GREY_SPACE_BETWEEN + holdTime;
+    // The same fade distances calculateFadeZones uses
+    const fadeInDistance = fadeIn ?? fadeZone ?? T.PANEL_FADE_IN;
+    const fadeOutDistance = fadeOut ?? fadeZone ?? T.PANEL_FADE_OUT;
+
+    // Total height = fade in + fade out ranges + grey space + hold time on both sides of center
+    const totalHeight = fadeInDistance + fadeOutDistance + T.GREY_SPACE_BETWEEN + (2 * holdTime);
 
     // Convert to vh and multiply by 100 for css height value
     return Math.ceil(totalHeight * 100);
 }
 
 /**
- * Calculate card appearance thresholds in pixels
+ * Calculate card (reveal item) appearance thresholds in pixels
  * @param {number} windowHeight - Viewport height in pixels
  * @param {number} cardIndex - Index of the card (0-based)
+ * @param {number|Array<{hold?: number, fade?: number}>} [reveal] - Per-item timing (defaults to card timing)
+ * @param {typeof SCROLL_TIMING} [timing=SCROLL_TIMING] - Resolved timing (see resolveTiming)
  * @returns {Object} { threshold: number, fadeDistance: number }
  */
-export function calculateCardThreshold(windowHeight, cardIndex) {
-    const T = SCROLL_TIMING;
+export function calculateCardThreshold(windowHeight, cardIndex, reveal = cardIndex + 1, timing = SCROLL_TIMING) {
+    const T = timing;
+    const items = resolveRevealTiming(reveal, T);
+    const item = items[cardIndex] || resolveRevealTiming(1, T)[0];
 
     // First card appears after main panel reading hold time
     let pixelThreshold = windowHeight * T.PANEL_READING_HOLD;
 
     // Add spacing for each previous card
-    if (cardIndex > 0) {
-        pixelThreshold += windowHeight * (
-            (T.CARD_FADE_DISTANCE + T.CARD_READING_HOLD) * cardIndex
-        );
-    }
+    items.slice(0, cardIndex).forEach(previous => {
+        pixelThreshold += windowHeight * (previous.fade + previous.hold);
+    });
 
     return {
         threshold: Math.round(pixelThreshold),
-        fadeDistance: Math.round(windowHeight * T.CARD_FADE_DISTANCE)
+        fadeDistance: Math.round(windowHeight * item.fade)
+    };
+}
+
+/**
+ * Easing curves for panel fades, keyed by schema name
+ * Each maps linear fade progress (0-1) to opacity (0-1)
+ */
+export const EASINGS = {
+    linear: t => t,
+    'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    cubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+/**
+ * Resolve a section's fade distances and easing from its scroll config
+ * Precedence per side: fadeIn/fadeOut, then fadeZone, then the global
+ * default fade zone, then PANEL_FADE_IN/PANEL_FADE_OUT.
+ *
+ * @param {import('./section-schema.js').ScrollConfig} [scroll={}] - Section scroll config
+ * @param {typeof SCROLL_TIMING} [timing=SCROLL_TIMING] - Resolved timing (see resolveTiming)
+ * @param {number} [defaultFadeZone] - Page-wide fade distance in vh (setupScrollBehavior argument)
+ * @returns {{fadeIn: number, fadeOut: number, easeIn: string, easeOut: string}} Distances in vh, easing names
+ */
+export function resolveFadeConfig(scroll = {}, timing = SCROLL_TIMING, defaultFadeZone) {
+    const fadeZone = scroll.fadeZone ?? defaultFadeZone;
+    const easing = scroll.easing || 'linear';
+
+    return {
+        fadeIn: scroll.fadeIn ?? fadeZone ?? timing.PANEL_FADE_IN,
+        fadeOut: scroll.fadeOut ?? fadeZone ?? timing.PANEL_FADE_OUT,
+        easeIn: typeof easing === 'string' ? easing : easing.in || 'linear',
+        easeOut: typeof easing === 'string' ? easing : easing.out || 'linear'
     };
 }
 
@@ -99,25 +249,55 @@ export function calculateCardThreshold(windowHeight, cardIndex) {
  * Only the HOLD zone varies based on content (cards)
  *
  * @param {number} windowHeight - Viewport height in pixels
- * @param {number} cardCount - Number of cards in this section
- * @returns {Object} { holdZone: number, fadeZone: number }
+ * @param {number|Array<{hold?: number, fade?: number}>} cardCount - Number of cards (reveal items) in this section, or per-item timing
+ * @param {typeof SCROLL_TIMING} [timing=SCROLL_TIMING] - Resolved timing (see resolveTiming)
+ * @param {{fadeIn?: number, fadeOut?: number}} [fade] - Fade distances in vh (see resolveFadeConfig)
+ * @param {number} [extraHold=0] - Extra hold in vh after the last reveal item (LAST_PANEL_EXTRA_HOLD for the last section)
+ * @returns {Object} { holdZone, fadeZone, fadeInZone, fadeOutZone } in px - fadeZone is the fade-out edge
  */
-export function calculateFadeZones(windowHeight, cardCount) {
-    const T = SCROLL_TIMING;
+export function calculateFadeZones(windowHeight, cardCount, timing = SCROLL_TIMING, fade = {}, extraHold = 0) {
+    const T = timing;
 
-    // Hold zone = reading time + all card appearance/reading time
-    let holdZoneVh = T.PANEL_READING_HOLD;
+    // Hold zone = reading time + all card appearance/reading time (+ last panel hold)
+    let holdZoneVh = T.PANEL_READING_HOLD + extraHold;
 
-    if (cardCount > 0) {
-        holdZoneVh += (T.CARD_FADE_DISTANCE + T.CARD_READING_HOLD) * cardCount;
-    }
+    resolveRevealTiming(cardCount, T).forEach(item => {
+        holdZoneVh += item.fade + item.hold;
+    });
 
     // fadeZone = holdZone + CONSISTENT fade out distance
     // This ensures all sections fade over the same distance (PANEL_FADE_OUT)
-    const fadeZoneVh = holdZoneVh + T.PANEL_FADE_OUT;
+    const fadeOutZoneVh = holdZoneVh + (fade.fadeOut ?? T.PANEL_FADE_OUT);
+    const fadeInZoneVh = holdZoneVh + (fade.fadeIn ?? T.PANEL_FADE_IN);
 
     return {
         holdZone: windowHeight * holdZoneVh,
-        fadeZone: windowHeight * fadeZoneVh
+        fadeZone: windowHeight * fadeOutZoneVh,
+        fadeInZone: windowHeight * fadeInZoneVh,
+        fadeOutZone: windowHeight * fadeOutZoneVh
     };
 }
+
+/**
+ * Calculate section opacity from its distance to the viewport center
+ * Approaching sections use the fade-in zone and curve, departing ones the fade-out.
+ *
+ * @param {number} distanceFromCenter - viewportCenter - sectionCenter in px (negative while approaching)
+ * @param {{holdZone: number, fadeInZone: number, fadeOutZone: number}} zones - From calculateFadeZones
+ * @param {{easeIn?: string, easeOut?: string}} [fade] - Easing names (see EASINGS)
+ * @returns {number} Opacity (0-1)
+ */
+export function calculateSectionOpacity(distanceFromCenter, zones, fade = {}) {
+    const distance = Math.abs(distanceFromCenter);
+    const approaching = distanceFromCenter < 0;
+    const edge = approaching ? zones.fadeInZone : zones.fadeOutZone;
+    const ease = EASINGS[approaching ? fade.easeIn : fade.easeOut] || EASINGS.linear;
+
+    // Stay at full opacity when close to center
+    if (distance < zones.holdZone) return 1;
+    if (distance >= edge) return 0;
+
+    // Fade only after leaving the hold zone
+    const visible = 1 - ((distance - zones.holdZone) / (edge - zones.holdZone));
+    return Math.max(0, Math.min(1, ease(visible)));
+}
@@ -0,0 +1,157 @@
+/**
+ * Scroll Tracks
+ * Keyframed, scroll-linked layer animation declared in the section schema
+ *
+ * A track is a list of keyframes keyed to section progress:
+ *   0   - section starts fading in
+ *   0.5 - section centered in the viewport
+ *   1   - section fully faded out
+ *
+ * Example (slow parallax drift with a fade at the end):
+ *   scrollTrack: [
+ *     { at: 0, y: 10 },
+ *     { at: 0.7, opacity: 1 },
+ *     { at: 1, y: -10, opacity: 0 }
+ *   ]
+ */
+
+/**
+ * Animatable track properties
+ * x/y are in viewport units (vw/vh) so parallax scales with screen size
+ */
+const TRACK_PROPERTIES = {
+    opacity: { unit: '', min: 0, max: 1 },
+    x: { unit: 'vw' },
+    y: { unit: 'vh' },
+    scale: { unit: '', min: 0 },
+    rotate: { unit: 'deg' },
+    blur: { unit: 'px', min: 0 }
+};
+
+/**
+ * Section progress (0-1) from the section's signed distance to viewport center
+ * @param {number} distanceFromCenter - viewportCenter - sectionCenter (positive once scrolled past)
+ * @param {number} fadeInZone - Distance before center at which the section is fully faded (px)
+ * @param {number} [fadeOutZone=fadeInZone] - Distance after center at which the section is fully faded (px)
+ * @returns {number}
+ */
+function calculateSectionProgress(distanceFromCenter, fadeInZone, fadeOutZone = fadeInZone) {
+    const zone = distanceFromCenter < 0 ? fadeInZone : fadeOutZone;
+    if (zone <= 0) return distanceFromCenter < 0 ? 0 : 1;
+
+    const progress = 0.5 + (distanceFromCenter / zone) / 2;
+    return Math.max(0, Math.min(1, progress));
+}
+
+/**
+ * Interpolate a track at a given progress
+ * Each property is interpolated only between keyframes that define it,
+ * and holds its first/last value outside that range.
+ * @param {import('./section-schema.js').ScrollKeyframe[]} track
+ * @param {number} progress - Section progress (0-1)
+ * @returns {Object<string, number>} Values for every property the track animates
+ */
+function interpolateTrack(track, progress) {
+    const keyframes = [...track].sort((a, b) => a.at - b.at);
+    const values = {};
+
+    Object.keys(TRACK_PROPERTIES).forEach(property => {
+        const frames = keyframes.filter(frame => typeof frame[property] === 'number');
+        if (frames.length === 0) return;
+
+        const first = frames[0];
+        const last = frames[frames.length - 1];
+
+        if (progress <= first.at) {
+            values[property] = first[property];
+            return;
+        }
+        if (progress >= last.at) {
+            values[property] = last[property];
+            return;
+        }
+
+        const nextIndex = frames.findIndex(frame => frame.at >= progress);
+        const from = frames[nextIndex - 1];
+        const to = frames[nextIndex];
+        const t = (progress - from.at) / (to.at - from.at);
+        values[property] = from[property] + (to[property] - from[property]) * t;
+    });
+
+    return values;
+}
+
+/**
+ * Convert interpolated track values to inline styles
+ * @param {Object<string, number>} values - Output of interpolateTrack
+ * @param {string} [baseTransform=''] - Transform the renderer applied (e.g. centering), kept first
+ * @returns {{transform: string, filter: string}}
+ */
+function trackToStyle(values, baseTransform = '') {
+    const transforms = [baseTransform];
+
+    if (values.x !== undefined || values.y !== undefined) {
+        transforms.push(`translate(${values.x || 0}vw, ${values.y || 0}vh)`);
+    }
+    if (values.scale !== undefined) {
+        transforms.push(`scale(${values.scale})`);
+    }
+    if (values.rotate !== undefined) {
+        transforms.push(`rotate(${values.rotate}deg)`);
+    }
+
+    return {
+        transform: transforms.filter(Boolean).join(' '),
+        filter: values.blur !== undefined ? `blur(${values.blur}px)` : ''
+    };
+}
+
+/**
+ * Validate a scroll track
+ * @param {*} track
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateTrack(track) {
+    if (!Array.isArray(track)) {
+        return ['scrollTrack must be an array of keyframes'];
+    }
+
+    const errors = [];
+
+    track.forEach((frame, idx) => {
+        if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+            errors.push(`keyframe ${idx}: must be an object like { at: 0.5, opacity: 1 }`);
+            return;
+        }
+
+        if (typeof frame.at !== 'number' || frame.at < 0 || frame.at > 1) {
+            errors.push(`keyframe ${idx}: "at" must be a number between 0 and 1`);
+        }
+
+        Object.keys(frame).forEach(key => {
+            if (key === 'at') return;
+
+            const spec = TRACK_PROPERTIES[key];
+            if (!spec) {
+                errors.push(`keyframe ${idx}: unknown property "${key}"`);
+                return;
+            }
+            const value = frame[key];
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                errors.push(`keyframe ${idx}: ${key} must be a number`);
+            } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                errors.push(`keyframe ${idx}: ${key} ${value} is outside ${spec.min ?? '-∞'}-${spec.max ?? '∞'}`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+export {
+    TRACK_PROPERTIES,
+    calculateSectionProgress,
+    interpolateTrack,
+    trackToStyle,
+    validateTrack
+};
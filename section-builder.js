@@ -1,252 +1,598 @@
-import { renderLayer } from './section-renderer.js';
-import { SCROLL_TIMING, calculateCardThreshold, calculateFadeZones } from './scroll-timing-config.js';
+import { renderLayer, getRevealItems, customRenderers, RENDERER_VERSION } from './section-renderer.js';
+import { computeSectionHeight, resolveSectionTiming } from './section-schema.js';
+import {
+    SCROLL_TIMING,
+    calculateCardThreshold,
+    calculateFadeZones,
+    calculateSectionOpacity,
+    resolveFadeConfig
+} from './scroll-timing-config.js';
+import { createScrollEngine, writeStyle } from './scroll-engine.js';
+import { createHeroElement } from './hero-text.js';
+import { calculateSectionProgress, interpolateTrack, trackToStyle } from './scroll-tracks.js';
+import { initialSectionState, diffSectionState, emitSectionEvent } from './section-events.js';
+
+/**
+ * @typedef {Object} SectionEntry
+ * @property {import('./section-schema.js').Section} section - Schema the section was built from
+ * @property {HTMLElement} container - Placeholder div that provides the scroll height
+ * @property {HTMLElement[]} backgrounds - Background layer elements
+ * @property {HTMLElement[]} images - Image layer elements
+ * @property {HTMLElement[]} visuals - Custom renderer elements
+ * @property {HTMLElement} hero - Hero content container
+ * @property {Array<{el: HTMLElement, track: import('./section-schema.js').ScrollKeyframe[], baseTransform: string}>} tracks - Layers with a scrollTrack
+ * @property {typeof SCROLL_TIMING} timing - Resolved timing (schema preset + section overrides)
+ * @property {Array<{hold?: number, fade?: number, tilt: number, layer: number}>} reveal - Reveal item timing and layer index, from the schema
+ * @property {number} extraHold - Extra hold zone in vh (LAST_PANEL_EXTRA_HOLD on the last section, else 0)
+ * @property {HTMLElement[]} revealElements - Reveal item elements (data-reveal-index), in reveal order
+ * @property {HTMLElement[]} bodyNodes - Everything appended to document.body, in DOM order
+ */
+
+/**
+ * Section registry - every element buildSection created, keyed by section id.
+ * Most of a section lives on document.body (fixed positioning), not inside
+ * its placeholder div, so scroll behavior and teardown look elements up here
+ * rather than querying the DOM.
+ * @type {Map<string, SectionEntry>}
+ */
+const sectionRegistry = new Map();
+
+/**
+ * The active scroll binding from setupScrollBehavior (one per page)
+ * @type {{update: Function, destroy: Function}|null}
+ */
+let scrollBinding = null;
 
 /**
  * Builds a complete fullscreen section from schema
+ * When scroll.height is omitted, height is derived from the section's layers
+ * and its position in the list (the last section holds longer).
  * @param {import('./section-schema.js').Section} section
+ * @param {number} [index=0] - Position of the section in the schema
+ * @param {import('./section-schema.js').Section[]} [sections=[section]] - All sections in the schema
+ * @param {import('./section-schema.js').TimingConfig} [schemaTiming] - Schema-level timing preset/overrides
  * @returns {HTMLElement}
  */
-function buildSection(section) {
+function buildSection(section, index = 0, sections = [section], schemaTiming) {
     // Main section container
     const sectionContainer = document.createElement('div');
     sectionContainer.id = section.id;
     sectionContainer.className = 'fullscreen-section';
     sectionContainer.dataset.sectionId = section.id;
     sectionContainer.style.cssText = `
-        height: ${section.scroll?.height || '250vh'};
+        height: ${section.scroll?.height || computeSectionHeight(section, index, sections, schemaTiming)};
         position: relative;
     `;
 
     // Build layers (backgrounds, images, custom visuals)
-    const layerElements = [];
-    section.layers.forEach(layer => {
+    // data-section/data-layer-index let hydrateSections find pre-rendered layers again
+    const layerElements = section.layers.map((layer, layerIndex) => {
         const el = renderLayer(layer, sectionContainer);
-        layerElements.push(el);
+        el.dataset.section = section.id;
+        el.dataset.layerIndex = layerIndex;
+        return el;
     });
 
-    // Build hero content container
-    const contentContainer = document.createElement('div');
-    contentContainer.className = 'section-content';
+    // Build hero content container (same element the validator measures)
+    const contentContainer = createHeroElement(section.hero);
     contentContainer.dataset.section = section.id;
-    const heroTop = section.hero.top || '30%';
-    contentContainer.style.cssText = `
-        position: fixed;
-        top: ${heroTop};
-        left: 50%;
-        transform: translate(-50%, -50%);
-        width: 100%;
-        max-width: 1200px;
-        padding: 40px;
-        z-index: 100;
-        opacity: 0;
-        transition: opacity 0.3s ease-out;
-        pointer-events: none;
-    `;
 
-    // Build hero text
-    const heroText = document.createElement('h1');
-    heroText.className = 'section-text';
-    heroText.innerHTML = section.hero.text;
-    heroText.style.cssText = `
-        font-size: ${section.hero.fontSize || 'clamp(2rem, 5vw, 3.5rem)'};
-        font-weight: 900;
-        text-align: ${section.hero.style || 'center'};
-        max-width: 1000px;
-        margin: 0 auto;
-        line-height: 1.2;
-        position: relative;
-        z-index: 100;
-        ${section.hero.color ? `color: ${section.hero.color};` : ''}
-    `;
-
-    contentContainer.appendChild(heroText);
+    const entry = registerSection(section, sectionContainer, layerElements, contentContainer, schemaTiming, index === sections.length - 1);
 
     // Append all elements to body (fixed positioning requires this)
-    // Background layers first
-    layerElements.forEach(el => {
-        if (el.className.includes('section-background')) {
-            document.body.appendChild(el);
+    // Backgrounds first, then visual layers (images, custom) so their positioning is
+    // viewport-relative, then the hero content last so it's on top in DOM order
+    entry.bodyNodes.forEach(el => document.body.appendChild(el));
+
+    return sectionContainer;
+}
+
+/**
+ * Create and register the registry entry for a section's elements
+ * @param {import('./section-schema.js').Section} section
+ * @param {HTMLElement} container - Placeholder div
+ * @param {HTMLElement[]} layerElements - One element per schema layer, in schema order
+ * @param {HTMLElement} hero - Hero content container
+ * @param {import('./section-schema.js').TimingConfig} [schemaTiming]
+ * @param {boolean} [isLastSection=false] - Holds LAST_PANEL_EXTRA_HOLD longer
+ * @returns {SectionEntry}
+ */
+function registerSection(section, container, layerElements, hero, schemaTiming, isLastSection = false) {
+    const timing = resolveSectionTiming(section, schemaTiming);
+    const entry = {
+        section,
+        container,
+        backgrounds: [],
+        images: [],
+        visuals: [],
+        hero,
+        tracks: [],
+        timing,
+        reveal: getRevealItems(section),
+        extraHold: isLastSection ? timing.LAST_PANEL_EXTRA_HOLD : 0,
+        revealElements: [],
+        bodyNodes: []
+    };
+
+    section.layers.forEach((layer, layerIndex) => {
+        const el = layerElements[layerIndex];
+
+        if (layer.type === 'background') {
+            entry.backgrounds.push(el);
+        } else if (layer.type === 'image') {
+            entry.images.push(el);
+        } else {
+            entry.visuals.push(el);
+            const items = Array.from(el.querySelectorAll('[data-reveal-index]'))
+                .sort((a, b) => a.dataset.revealIndex - b.dataset.revealIndex);
+            entry.revealElements.push(...items);
         }
-    });
 
-    // Visual layers (images, custom) - append to body so their positioning is viewport-relative
-    layerElements.forEach(el => {
-        if (!el.className.includes('section-background')) {
-            el.dataset.section = section.id; // Track which section this belongs to
-            document.body.appendChild(el);
+        if (layer.scrollTrack) {
+            entry.tracks.push({ el, track: layer.scrollTrack, baseTransform: el.style.transform || '' });
         }
     });
 
-    // Content container (hero text) - last so it's on top in DOM order
-    document.body.appendChild(contentContainer);
+    const visualLayers = layerElements.filter(el => !entry.backgrounds.includes(el));
+    entry.bodyNodes = [...entry.backgrounds, ...visualLayers, hero];
+    sectionRegistry.set(section.id, entry);
 
-    return sectionContainer;
+    return entry;
+}
+
+/**
+ * Fingerprint of everything a section's markup depends on
+ * Pre-rendered nodes carry it in data-prerendered, so hydration can tell
+ * whether they still match the schema and the code that rendered them:
+ * RENDERER_VERSION for the built-in layers and hero, and the source of each
+ * custom renderer the section uses.
+ * @param {import('./section-schema.js').Section} section
+ * @param {number} index
+ * @param {import('./section-schema.js').Section[]} sections
+ * @param {import('./section-schema.js').TimingConfig} [schemaTiming]
+ * @returns {string}
+ */
+function sectionFingerprint(section, index, sections, schemaTiming) {
+    const renderers = section.layers
+        .filter(layer => layer.type === 'custom')
+        .map(layer => String(customRenderers[layer.renderer] ?? ''));
+    const source = JSON.stringify([section, index === sections.length - 1, schemaTiming ?? null, RENDERER_VERSION, renderers]);
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < source.length; i++) {
+        hash ^= source.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Register pre-rendered sections instead of building them
+ * All-or-nothing: if any section's markup is missing or stale, nothing is
+ * registered and the caller builds from scratch.
+ * @param {import('./section-schema.js').Section[]} sections
+ * @param {import('./section-schema.js').TimingConfig} [schemaTiming]
+ * @returns {HTMLElement[]|null} Section containers, or null when the markup doesn't match
+ */
+function hydrateSections(sections, schemaTiming) {
+    const prerendered = Array.from(document.querySelectorAll('[data-prerendered]'));
+
+    const found = sections.map((section, index) => {
+        const fingerprint = sectionFingerprint(section, index, sections, schemaTiming);
+        const nodes = prerendered.filter(el => (el.dataset.section || el.dataset.sectionId) === section.id);
+        if (nodes.some(el => el.dataset.prerendered !== fingerprint)) return null;
+
+        const container = nodes.find(el => el.classList.contains('fullscreen-section'));
+        const hero = nodes.find(el => el.classList.contains('section-content'));
+        const layers = section.layers.map((_, layerIndex) => (
+            nodes.find(el => el.dataset.layerIndex === String(layerIndex))
+        ));
+        if (!container || !hero || layers.some(el => !el) || nodes.length !== layers.length + 2) return null;
+
+        return { section, container, layers, hero };
+    });
+
+    if (found.some(item => !item) || found.length * 2 + found.reduce((n, item) => n + item.layers.length, 0) !== prerendered.length) {
+        return null;
+    }
+
+    return found.map(({ section, container, layers, hero }, index) => {
+        registerSection(section, container, layers, hero, schemaTiming, index === sections.length - 1);
+        return container;
+    });
+}
+
+/**
+ * Build every section and mark the nodes for hydration (used by scripts/prerender.mjs)
+ * @param {import('./section-schema.js').SectionSchema} schema
+ * @param {HTMLElement} insertBeforeElement - Element to insert section containers before
+ * @returns {{containers: HTMLElement[], bodyNodes: HTMLElement[]}} Nodes in DOM order
+ */
+function prerenderSections(schema, insertBeforeElement) {
+    const { sections } = buildAllSections(schema, insertBeforeElement);
+    const bodyNodes = [];
+
+    schema.sections.forEach((section, index) => {
+        const entry = sectionRegistry.get(section.id);
+        const fingerprint = sectionFingerprint(section, index, schema.sections, schema.timing);
+
+        [entry.container, ...entry.bodyNodes].forEach(el => {
+            el.dataset.prerendered = fingerprint;
+        });
+        bodyNodes.push(...entry.bodyNodes);
+    });
+
+    return { containers: sections, bodyNodes };
+}
+
+/**
+ * Remove every node buildSection created for a section
+ * @param {string} sectionId
+ */
+function destroySection(sectionId) {
+    const entry = sectionRegistry.get(sectionId);
+    if (!entry) return;
+
+    entry.container.remove();
+    entry.bodyNodes.forEach(node => node.remove());
+    sectionRegistry.delete(sectionId);
+}
+
+/**
+ * Get the registry of built sections
+ * @returns {Map<string, SectionEntry>}
+ */
+function getSectionRegistry() {
+    return sectionRegistry;
 }
 
 /**
  * Builds all sections from a schema and inserts them into the DOM
+ * With options.hydrate, sections pre-rendered by scripts/prerender.mjs are
+ * reused instead of rebuilt; stale or missing markup is discarded and rebuilt.
  * @param {import('./section-schema.js').SectionSchema} schema
  * @param {HTMLElement} insertBeforeElement - Element to insert sections before
+ * @param {Object} [options]
+ * @param {boolean} [options.hydrate=false] - Attach to pre-rendered markup when it matches the schema
+ * @returns {{
+ *   sections: HTMLElement[],
+ *   destroy: () => void,
+ *   rebuild: (schema: import('./section-schema.js').SectionSchema) => void,
+ *   replace: (id: string, section: import('./section-schema.js').Section) => HTMLElement
+ * }} Handle for tearing down or swapping the built sections
  */
-function buildAllSections(schema, insertBeforeElement) {
-    const sections = schema.sections.map(buildSection);
+function buildAllSections(schema, insertBeforeElement, { hydrate = false } = {}) {
+    let schemaSections = [];
+    let schemaTiming;
+    let sectionIds = [];
+    let sections = [];
+
+    function build(nextSchema, useMarkup = false) {
+        schemaSections = [...nextSchema.sections];
+        schemaTiming = nextSchema.timing;
+        sectionIds = schemaSections.map(section => section.id);
+
+        const hydrated = useMarkup ? hydrateSections(schemaSections, schemaTiming) : null;
+        if (hydrated) {
+            sections = hydrated;
+            return;
+        }
+
+        document.querySelectorAll('[data-prerendered]').forEach(el => el.remove());
+        sections = schemaSections.map((section, index) => buildSection(section, index, schemaSections, schemaTiming));
+
+        sections.forEach(section => {
+            insertBeforeElement.parentNode.insertBefore(section, insertBeforeElement);
+        });
+    }
+
+    function removeAll() {
+        sectionIds.forEach(destroySection);
+        schemaSections = [];
+        sectionIds = [];
+        sections = [];
+    }
+
+    build(schema, hydrate);
+
+    return {
+        get sections() {
+            return sections;
+        },
+
+        /**
+         * Remove every built node and unbind scroll behavior
+         */
+        destroy() {
+            removeAll();
+            if (scrollBinding) {
+                scrollBinding.destroy();
+                scrollBinding = null;
+            }
+        },
+
+        /**
+         * Replace all sections with ones built from a new schema
+         * @param {import('./section-schema.js').SectionSchema} nextSchema
+         */
+        rebuild(nextSchema) {
+            removeAll();
+            build(nextSchema);
+            scrollBinding?.update();
+        },
+
+        /**
+         * Swap a single section in place, keeping its position in the page
+         * @param {string} id - Id of the section to replace
+         * @param {import('./section-schema.js').Section} section - New section config
+         * @returns {HTMLElement} The new section container
+         * @throws {Error} When id wasn't built here or section.id is already registered by another section
+         */
+        replace(id, section) {
+            const index = sectionIds.indexOf(id);
+            if (index === -1) {
+                throw new Error(`Section "${id}" was not built by this handle`);
+            }
+            // The registry is keyed by id across every handle, so a reused id would clobber another section
+            if (section.id !== id && sectionRegistry.has(section.id)) {
+                throw new Error(`duplicate section id "${section.id}" (already used by another section)`);
+            }
+
+            // Anchor on the next section so the fixed layers keep their stacking order
+            const nextEntry = sectionRegistry.get(sectionIds[index + 1]);
+            const containerAnchor = nextEntry ? nextEntry.container : insertBeforeElement;
+            const bodyAnchor = nextEntry ? nextEntry.bodyNodes[0] : null;
+
+            destroySection(id);
+            schemaSections[index] = section;
+            const container = buildSection(section, index, schemaSections, schemaTiming);
+            containerAnchor.parentNode.insertBefore(container, containerAnchor);
+            if (bodyAnchor) {
+                sectionRegistry.get(section.id).bodyNodes.forEach(node => {
+                    document.body.insertBefore(node, bodyAnchor);
+                });
+            }
+
+            sectionIds[index] = section.id;
+            sections[index] = container;
+            scrollBinding?.update();
+            return container;
+        }
+    };
+}
+
+/**
+ * Measure the cached layout for every registered section (read phase)
+ * @param {number} [defaultFadeZone] - Page-wide fade distance in vh
+ * @returns {Array<{entry: SectionEntry, top: number, height: number, fade: Object}>}
+ */
+function measureSections(defaultFadeZone) {
+    return Array.from(sectionRegistry.values(), entry => {
+        const rect = entry.container.getBoundingClientRect();
+
+        return {
+            entry,
+            top: rect.top + window.scrollY,
+            height: rect.height,
+            fade: resolveFadeConfig(entry.section.scroll, entry.timing, defaultFadeZone)
+        };
+    });
+}
+
+/**
+ * Calculate opacity and reveal state for one section at a scroll offset
+ * Pure - works only from cached layout and the schema-derived reveal timing,
+ * so scroll-simulator.js can replay it without a DOM
+ * @param {{top: number, height: number, entry: Pick<SectionEntry, 'reveal'|'timing'|'extraHold'>, fade: Object}} layout
+ * @param {number} scrollY
+ * @param {number} windowHeight
+ * @returns {{inView: boolean, hold: boolean, opacity: number, progress: number, items: Array<{opacity: number, scale: number}>}}
+ *   hold is whether the viewport center is inside the hold zone
+ */
+function calculateSectionFrame(layout, scrollY, windowHeight) {
+    const rectTop = layout.top - scrollY;
+    const rectBottom = rectTop + layout.height;
+    const { reveal, timing, extraHold } = layout.entry;
+
+    if (rectBottom < 0 || rectTop > windowHeight) {
+        return { inView: false, hold: false, opacity: 0, progress: rectBottom < 0 ? 1 : 0, items: [] };
+    }
+
+    // Signed distance of section center from viewport center - positive once scrolled past
+    const sectionCenter = rectTop + (layout.height / 2);
+    const viewportCenter = windowHeight / 2;
+    const distanceFromCenter = viewportCenter - sectionCenter;
+
+    // Calculate fade zones based on section content
+    // Sections with reveal items have LARGER holdZones; fade distances come
+    // from the section's scroll config (fadeZone/fadeIn/fadeOut)
+    const zones = calculateFadeZones(windowHeight, reveal, timing, layout.fade, extraHold);
+    const opacity = calculateSectionOpacity(distanceFromCenter, zones, layout.fade);
+
+    // Reveal items - scroll-paced stagger, positive once scrolled past center
+    // Item opacity is relative to its layer, which already fades with the section
+    const items = reveal.map((item, itemIndex) => {
+        const itemTiming = calculateCardThreshold(windowHeight, itemIndex, reveal, timing);
+        const pixelThreshold = itemTiming.threshold;
+        const fadeDistance = itemTiming.fadeDistance;
+
+        if (opacity <= 0 || distanceFromCenter < pixelThreshold) {
+            return { opacity: 0, scale: 0.8 };
+        }
+        if (distanceFromCenter >= pixelThreshold + fadeDistance) {
+            return { opacity: 1, scale: 1 };
+        }
+
+        const fadeProgress = (distanceFromCenter - pixelThreshold) / fadeDistance;
+        return { opacity: fadeProgress, scale: 0.8 + (0.2 * fadeProgress) };
+    });
+
+    const progress = calculateSectionProgress(distanceFromCenter, zones.fadeInZone, zones.fadeOutZone);
+
+    const hold = Math.abs(distanceFromCenter) < zones.holdZone;
+
+    return { inView: true, hold, opacity, progress, items };
+}
 
-    sections.forEach(section => {
-        insertBeforeElement.parentNode.insertBefore(section, insertBeforeElement);
+/**
+ * Apply a calculated frame to a section's elements (write phase)
+ * @param {SectionEntry} entry
+ * @param {{inView: boolean, opacity: number, progress: number, items: Array<{opacity: number, scale: number}>}} state
+ */
+function applySectionFrame(entry, state) {
+    const { backgrounds, images, visuals, hero, tracks, reveal, revealElements } = entry;
+    const tracked = tracks.map(item => item.el);
+    const layers = [...backgrounds, ...images, ...visuals, hero];
+
+    // Hide completely when out of view
+    if (!state.inView) {
+        layers.forEach(el => writeStyle(el, 'display', 'none'));
+        return;
+    }
+
+    layers.forEach(el => writeStyle(el, 'display', 'block'));
+    layers
+        .filter(el => !tracked.includes(el))
+        .forEach(el => writeStyle(el, 'opacity', state.opacity));
+
+    // Scroll tracks - keyframed opacity multiplies the section fade
+    tracks.forEach(({ el, track, baseTransform }) => {
+        const values = interpolateTrack(track, state.progress);
+        const style = trackToStyle(values, baseTransform);
+
+        writeStyle(el, 'opacity', state.opacity * (values.opacity ?? 1));
+        writeStyle(el, 'transform', style.transform);
+        writeStyle(el, 'filter', style.filter);
     });
 
-    return sections;
+    revealElements.forEach((item, itemIndex) => {
+        const itemState = state.items[itemIndex] || { opacity: 1, scale: 1 };
+        const tilt = reveal[itemIndex]?.tilt || 0;
+
+        // Store rotation angle on first run
+        if (tilt && !item.dataset.rotation) {
+            item.dataset.rotation = (Math.random() - 0.5) * tilt;
+        }
+
+        writeStyle(item, 'opacity', itemState.opacity);
+        writeStyle(item, 'transform', `scale(${itemState.scale})${tilt ? ` rotate(${item.dataset.rotation}deg)` : ''}`);
+    });
 }
 
 /**
  * Setup scroll-based fade behavior for all sections
- * @param {number} [fadeZone=0.7] - Default fade zone (can be overridden per section)
+ * Updates are batched into one animation frame; section geometry is cached
+ * and re-measured on resize. Calling it again replaces the previous binding.
+ * Section enter/hold/exit, card reveal and progress changes are dispatched on
+ * sectionEvents (section-events.js).
+ * @param {number} [fadeZone] - Page-wide fade distance in vh (sections can override with
+ *   scroll.fadeZone/fadeIn/fadeOut); defaults to SCROLL_TIMING.PANEL_FADE_IN/OUT
+ * @param {Object} [options]
+ * @param {(frame: import('./scroll-engine.js').ScrollFrame) => void} [options.onFrame] - Called after
+ *   each frame with the cached section layout (see scroll-debug.js)
+ * @returns {{update: () => void, destroy: () => void}}
  */
-function setupScrollBehavior(fadeZone = 0.7) {
-    function updateSectionOpacity() {
-        const sections = document.querySelectorAll('.fullscreen-section');
-        const backgrounds = document.querySelectorAll('.section-background');
-        const contents = document.querySelectorAll('.section-content');
+function setupScrollBehavior(fadeZone, { onFrame } = {}) {
+    if (scrollBinding) {
+        scrollBinding.destroy();
+    }
+
+    // Sections that have been hidden while off-screen - skipped until they come near again
+    const parked = new WeakSet();
+
+    // Last event state per section, so each transition is emitted once (section-events.js)
+    const eventStates = new WeakMap();
+    let lastScrollY = null;
+
+    function emitSectionEvents(item, state, layout, direction) {
+        const { entry } = item;
+        const previous = eventStates.get(entry) || initialSectionState();
+        const next = {
+            visible: state.inView && state.opacity > 0,
+            hold: state.hold,
+            progress: state.progress,
+            revealed: state.items.map(itemState => itemState.opacity >= 1)
+        };
+        eventStates.set(entry, next);
+
+        const events = diffSectionState(previous, next);
+        if (events.length === 0) return;
+
+        const detail = {
+            sectionId: entry.section.id,
+            index: layout.filter(other => other.top < item.top).length,
+            direction,
+            progress: state.progress,
+            opacity: state.opacity
+        };
+        events.forEach(({ type, card }) => {
+            emitSectionEvent(type, card === undefined
+                ? { ...detail }
+                : { ...detail, card, element: entry.revealElements[card] });
+        });
+    }
+
+    function renderFrame({ scrollY, viewportHeight, layout, isNear }) {
+        const direction = lastScrollY === null || scrollY >= lastScrollY ? 'down' : 'up';
+        lastScrollY = scrollY;
+
         const comparisonContainer = document.getElementById('comparison-container');
-        const windowHeight = window.innerHeight;
 
         // Hide comparison container until last fullscreen section is done
-        if (comparisonContainer) {
-            const lastSection = sections[sections.length - 1];
-            const lastRect = lastSection?.getBoundingClientRect();
-
-            if (lastRect && lastRect.bottom > windowHeight * 0.5) {
-                comparisonContainer.style.opacity = '0';
-                comparisonContainer.style.pointerEvents = 'none';
-            } else if (lastRect) {
-                const fadeIn = Math.min(1, (windowHeight * 0.5 - lastRect.bottom) / (windowHeight * 0.3));
-                comparisonContainer.style.opacity = fadeIn;
-                comparisonContainer.style.pointerEvents = fadeIn > 0.5 ? 'auto' : 'none';
+        if (comparisonContainer && layout.length > 0) {
+            const lastBottom = Math.max(...layout.map(item => item.top + item.height)) - scrollY;
+
+            if (lastBottom > viewportHeight * 0.5) {
+                writeStyle(comparisonContainer, 'opacity', 0);
+                writeStyle(comparisonContainer, 'pointerEvents', 'none');
+            } else {
+                const fadeIn = Math.min(1, (viewportHeight * 0.5 - lastBottom) / (viewportHeight * 0.3));
+                writeStyle(comparisonContainer, 'opacity', fadeIn);
+                writeStyle(comparisonContainer, 'pointerEvents', fadeIn > 0.5 ? 'auto' : 'none');
             }
         }
 
-        sections.forEach((section, index) => {
-            const rect = section.getBoundingClientRect();
-            const sectionId = section.id;
-
-            // Find all elements for this section
-            const sectionBg = backgrounds[index];
-            const sectionContent = contents[index];
-            const sectionImages = document.querySelectorAll(`img[data-section="${sectionId}"]`);
-            const sectionVisuals = document.querySelectorAll(`.visual-container[data-section="${sectionId}"]`);
-
-            // Hide completely when out of view
-            if (rect.bottom < 0 || rect.top > windowHeight) {
-                if (sectionBg) sectionBg.style.display = 'none';
-                if (sectionContent) sectionContent.style.display = 'none';
-                sectionImages.forEach(img => img.style.display = 'none');
-                sectionVisuals.forEach(vis => vis.style.display = 'none');
-                return;
-            }
+        layout.forEach(item => {
+            const near = isNear(item.entry.container);
+            const state = calculateSectionFrame(item, scrollY, viewportHeight);
 
-            // Show when in view range
-            if (sectionBg) sectionBg.style.display = 'block';
-            if (sectionContent) sectionContent.style.display = 'block';
-            sectionImages.forEach(img => img.style.display = 'block');
-            sectionVisuals.forEach(vis => vis.style.display = 'block');
-
-            // Calculate center of section relative to viewport center
-            const sectionCenter = rect.top + (rect.height / 2);
-            const viewportCenter = windowHeight / 2;
-            const distance = Math.abs(sectionCenter - viewportCenter);
-
-            // Calculate fade zones based on section content
-            // All sections fade over the SAME distance (PANEL_FADE_OUT)
-            // But sections with cards have LARGER holdZones
-            const sectionLayer = Array.from(section.querySelectorAll('.visual-container'))
-                .find(v => v.classList.contains('challenge-cards'));
-            const cardCount = sectionLayer
-                ? sectionLayer.querySelectorAll('.challenge-card').length
-                : 0;
-
-            const zones = calculateFadeZones(windowHeight, cardCount);
-            const holdZone = zones.holdZone;
-            const sectionFadeZone = zones.fadeZone;
-
-            // Calculate opacity based on distance from center
-            let opacity = 0;
-            if (distance < holdZone) {
-                // Stay at full opacity when close to center
-                opacity = 1;
-            } else if (distance < sectionFadeZone) {
-                // Fade out only after leaving the hold zone
-                opacity = 1 - ((distance - holdZone) / (sectionFadeZone - holdZone));
+            // Parked sections skip the DOM writes, but a jump can still carry the
+            // viewport over them, so their events are always diffed
+            if (near || !parked.has(item.entry)) {
+                applySectionFrame(item.entry, state);
             }
+            emitSectionEvents(item, state, layout, direction);
 
-            // Apply opacity to background, content, and images
-            if (sectionBg) {
-                sectionBg.style.opacity = Math.max(0, Math.min(1, opacity));
-            }
-            if (sectionContent) {
-                sectionContent.style.opacity = Math.max(0, Math.min(1, opacity));
+            if (!near && !state.inView) {
+                parked.add(item.entry);
+            } else {
+                parked.delete(item.entry);
             }
-            sectionImages.forEach(img => {
-                img.style.opacity = Math.max(0, Math.min(1, opacity));
-            });
-
-            // Special handling for challenge cards - scroll-controlled appearance
-            sectionVisuals.forEach(vis => {
-                if (vis.classList.contains('challenge-cards')) {
-                    const cards = vis.querySelectorAll('.challenge-card');
-
-                    // Only show cards when section is visible
-                    if (opacity > 0) {
-                        // Calculate distance from center - positive when scrolled past center
-                        const sectionCenter = rect.top + (rect.height / 2);
-                        const viewportCenter = windowHeight / 2;
-                        const distanceFromCenter = viewportCenter - sectionCenter;
-
-                        cards.forEach((card, cardIndex) => {
-                            // Calculate card thresholds from timing config
-                            const cardTiming = calculateCardThreshold(windowHeight, cardIndex);
-                            const pixelThreshold = cardTiming.threshold;
-                            const fadeDistance = cardTiming.fadeDistance;
-
-                            let cardOpacity = 0;
-                            let cardScale = 0.8;
-
-                            if (distanceFromCenter >= pixelThreshold + fadeDistance) {
-                                // Fully visible - multiply by section opacity so it fades with section
-                                cardOpacity = 1 * opacity;
-                                cardScale = 1;
-                            } else if (distanceFromCenter >= pixelThreshold) {
-                                // Fading in - also affected by section opacity
-                                const fadeProgress = (distanceFromCenter - pixelThreshold) / fadeDistance;
-                                cardOpacity = fadeProgress * opacity;
-                                cardScale = 0.8 + (0.2 * fadeProgress);
-                            }
-
-                            // Store rotation angle on first run
-                            if (!card.dataset.rotation) {
-                                card.dataset.rotation = (Math.random() - 0.5) * 10;
-                            }
-
-                            card.style.opacity = cardOpacity;
-                            card.style.transform = `scale(${cardScale}) rotate(${card.dataset.rotation}deg)`;
-                        });
-                    } else {
-                        // Hide all cards when section is not visible
-                        cards.forEach(card => {
-                            card.style.opacity = 0;
-                            card.style.transform = 'scale(0.8)';
-                        });
-                    }
-                } else {
-                    // Other visuals follow normal opacity
-                    vis.style.opacity = Math.max(0, Math.min(1, opacity));
-                }
-            });
         });
     }
 
-    // Run on scroll and on load
-    window.addEventListener('scroll', updateSectionOpacity);
-    updateSectionOpacity();
+    const engine = createScrollEngine({
+        targets: () => Array.from(sectionRegistry.values(), entry => entry.container),
+        measure: () => measureSections(fadeZone),
+        frame: renderFrame,
+        onFrame
+    });
+
+    scrollBinding = {
+        update: engine.invalidate,
+        destroy: engine.destroy
+    };
+
+    return scrollBinding;
 }
 
-export { buildSection, buildAllSections, setupScrollBehavior };
+export {
+    buildSection,
+    buildAllSections,
+    prerenderSections,
+    destroySection,
+    getSectionRegistry,
+    calculateSectionFrame,
+    setupScrollBehavior
+};
@@ -0,0 +1,157 @@
+/**
+ * Section Events
+ * Narrative progress events emitted by setupScrollBehavior, so analytics, page
+ * scripts and custom renderers can react to scrolling without re-implementing
+ * the fade math
+ *
+ * Events (CustomEvent, details in SectionEventDetail), in the order a section
+ * goes through them while scrolling down:
+ *   enter      - section becomes visible (opacity > 0)
+ *   holdstart  - section reaches full opacity (viewport center enters the hold zone)
+ *   cardreveal - a reveal item (card) becomes fully visible
+ *   holdend    - section starts fading out (or in, when scrolling back up)
+ *   exit       - section is fully faded out
+ *   progress   - section progress (0-1, see scroll-tracks.js) changed
+ * Scrolling back up replays them in reverse (exit is then the fade-in edge),
+ * with direction 'up'.
+ *
+ * Example:
+ *   onSectionEvent('holdstart', ({ detail }) => analytics.track('read', detail.sectionId));
+ *   onSectionEvent('cardreveal', ({ detail }) => pulse(detail.element), { sectionId: 'section-03' });
+ */
+
+/**
+ * @typedef {Object} SectionEventDetail
+ * @property {string} sectionId
+ * @property {number} index - Position of the section on the page
+ * @property {'up'|'down'} direction - Scroll direction of the frame that fired the event
+ * @property {number} progress - Section progress (0-1)
+ * @property {number} opacity - Section opacity (0-1)
+ * @property {number} [card] - Reveal item index (cardreveal only)
+ * @property {HTMLElement} [element] - Reveal item element (cardreveal only)
+ */
+
+/**
+ * Section state the events are derived from
+ * @typedef {Object} SectionEventState
+ * @property {boolean} visible - Opacity > 0
+ * @property {boolean} hold - Viewport center inside the hold zone
+ * @property {number} progress
+ * @property {boolean[]} revealed - Per reveal item, fully visible
+ */
+
+const SECTION_EVENT_TYPES = ['enter', 'holdstart', 'cardreveal', 'holdend', 'exit', 'progress'];
+
+/**
+ * Page-wide target every section event is dispatched on
+ * @type {EventTarget}
+ */
+const sectionEvents = new EventTarget();
+
+/**
+ * State of a section before its first frame
+ * @returns {SectionEventState}
+ */
+function initialSectionState() {
+    return { visible: false, hold: false, progress: null, revealed: [] };
+}
+
+/**
+ * Whether a frame jumped over a section's hold zone without landing in it
+ * Progress is 0.5 at the section center, which is always inside the hold zone,
+ * so states on opposite sides of 0.5 with no hold in either crossed it.
+ * @param {SectionEventState} previous
+ * @param {SectionEventState} next
+ * @returns {boolean}
+ */
+function crossedHold(previous, next) {
+    if (previous.hold || next.hold || previous.progress === null || next.progress === null) return false;
+    return (previous.progress - 0.5) * (next.progress - 0.5) < 0;
+}
+
+/**
+ * Events between two states of one section
+ * Leaving events come before entering ones. A frame that jumps over the hold
+ * zone (a dot click, hash jump or fast fling) still reports the complete
+ * sequence it skipped - e.g. enter, holdstart, cardreveal..., holdend, exit for
+ * a section that was hidden before and after it. Cards are only revealed
+ * scrolling down.
+ * @param {SectionEventState} previous
+ * @param {SectionEventState} next
+ * @returns {Array<{type: string, card?: number}>}
+ */
+function diffSectionState(previous, next) {
+    const events = [];
+    const forward = previous.progress !== null && next.progress > previous.progress;
+    const crossed = crossedHold(previous, next);
+
+    // Cards still hidden when the hold ends going down were scrolled past - reveal them first
+    const revealSkipped = () => next.revealed.forEach((revealed, card) => {
+        if (!previous.revealed[card]) events.push({ type: 'cardreveal', card });
+    });
+
+    if (crossed) {
+        if (!previous.visible) events.push({ type: 'enter' });
+        events.push({ type: 'holdstart' });
+        if (forward) revealSkipped();
+        events.push({ type: 'holdend' });
+        if (!next.visible) events.push({ type: 'exit' });
+    } else if (previous.hold && !next.hold) {
+        if (forward) revealSkipped();
+        events.push({ type: 'holdend' });
+        if (!next.visible) events.push({ type: 'exit' });
+    } else {
+        if (previous.visible && !next.visible) events.push({ type: 'exit' });
+        if (!previous.visible && next.visible) events.push({ type: 'enter' });
+        if (!previous.hold && next.hold) events.push({ type: 'holdstart' });
+
+        next.revealed.forEach((revealed, card) => {
+            if (revealed && !previous.revealed[card]) events.push({ type: 'cardreveal', card });
+        });
+    }
+
+    if (next.progress !== previous.progress && (next.visible || previous.visible || crossed)) {
+        events.push({ type: 'progress' });
+    }
+
+    return events;
+}
+
+/**
+ * Dispatch a section event
+ * @param {string} type - One of SECTION_EVENT_TYPES
+ * @param {SectionEventDetail} detail
+ */
+function emitSectionEvent(type, detail) {
+    sectionEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+/**
+ * Listen for a section event
+ * @param {string} type - One of SECTION_EVENT_TYPES
+ * @param {(event: CustomEvent<SectionEventDetail>) => void} listener
+ * @param {Object} [options]
+ * @param {string} [options.sectionId] - Only events for this section
+ * @returns {() => void} Removes the listener
+ */
+function onSectionEvent(type, listener, { sectionId } = {}) {
+    if (!SECTION_EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown section event "${type}" (expected one of ${SECTION_EVENT_TYPES.join(', ')})`);
+    }
+
+    const handler = sectionId
+        ? event => { if (event.detail.sectionId === sectionId) listener(event); }
+        : listener;
+
+    sectionEvents.addEventListener(type, handler);
+    return () => sectionEvents.removeEventListener(type, handler);
+}
+
+export {
+    SECTION_EVENT_TYPES,
+    sectionEvents,
+    initialSectionState,
+    diffSectionState,
+    emitSectionEvent,
+    onSectionEvent
+};
@@ -0,0 +1,504 @@
+// Generated from the typedefs in section-schema.js by scripts/generate-json-schema.mjs - do not edit
+const sectionJsonSchema = {
+    "$schema": "https://json-schema.org/draft/2020-12/schema",
+    "title": "Fullscreen section schema",
+    "description": "Generated from the typedefs in section-schema.js by scripts/generate-json-schema.mjs - do not edit",
+    "$ref": "#/$defs/SectionSchema",
+    "$defs": {
+        "HeroTextElement": {
+            "type": "object",
+            "description": "Rich-text element in hero text",
+            "properties": {
+                "tag": {
+                    "type": "string",
+                    "enum": [
+                        "span",
+                        "em",
+                        "strong",
+                        "br"
+                    ],
+                    "description": "Element to create"
+                },
+                "class": {
+                    "type": "string",
+                    "description": "CSS class (span only)"
+                },
+                "text": {
+                    "type": "string",
+                    "description": "Text content (before any children)"
+                },
+                "children": {
+                    "type": "array",
+                    "items": {
+                        "$ref": "#/$defs/HeroTextNode"
+                    },
+                    "description": "Nested rich-text nodes"
+                }
+            },
+            "required": [
+                "tag"
+            ],
+            "additionalProperties": false
+        },
+        "HeroTextNode": {
+            "anyOf": [
+                {
+                    "type": "string"
+                },
+                {
+                    "$ref": "#/$defs/HeroTextElement"
+                }
+            ],
+            "description": "Plain text or a rich-text element"
+        },
+        "HeroConfig": {
+            "type": "object",
+            "properties": {
+                "text": {
+                    "anyOf": [
+                        {
+                            "type": "string"
+                        },
+                        {
+                            "type": "array",
+                            "items": {
+                                "$ref": "#/$defs/HeroTextNode"
+                            }
+                        }
+                    ],
+                    "description": "Hero text: HTML limited to <br>, <span class>, <em> and <strong>, or rich-text nodes"
+                },
+                "style": {
+                    "type": "string",
+                    "enum": [
+                        "center",
+                        "left",
+                        "right"
+                    ],
+                    "description": "Text alignment",
+                    "default": "center"
+                },
+                "top": {
+                    "type": "string",
+                    "description": "CSS top of the hero container (centered on this line)",
+                    "default": "30%"
+                },
+                "fontSize": {
+                    "type": "string",
+                    "description": "Optional CSS font-size override"
+                },
+                "color": {
+                    "type": "string",
+                    "description": "Optional CSS color override"
+                }
+            },
+            "required": [
+                "text"
+            ],
+            "additionalProperties": false
+        },
+        "Position": {
+            "type": "object",
+            "properties": {
+                "top": {
+                    "type": "string",
+                    "description": "CSS top value (e.g., '10%', '50px')"
+                },
+                "right": {
+                    "type": "string",
+                    "description": "CSS right value"
+                },
+                "bottom": {
+                    "type": "string",
+                    "description": "CSS bottom value"
+                },
+                "left": {
+                    "type": "string",
+                    "description": "CSS left value"
+                }
+            },
+            "additionalProperties": false
+        },
+        "Size": {
+            "type": "object",
+            "properties": {
+                "width": {
+                    "type": "string",
+                    "description": "CSS width value"
+                },
+                "height": {
+                    "type": "string",
+                    "description": "CSS height value"
+                }
+            },
+            "additionalProperties": false
+        },
+        "ScrollKeyframe": {
+            "type": "object",
+            "properties": {
+                "at": {
+                    "type": "number",
+                    "description": "Section progress (0 = starts fading in, 0.5 = centered, 1 = faded out)"
+                },
+                "opacity": {
+                    "type": "number",
+                    "description": "Opacity (0-1), multiplied with the section fade",
+                    "minimum": 0,
+                    "maximum": 1
+                },
+                "x": {
+                    "type": "number",
+                    "description": "Horizontal offset in vw"
+                },
+                "y": {
+                    "type": "number",
+                    "description": "Vertical offset in vh"
+                },
+                "scale": {
+                    "type": "number",
+                    "description": "Scale factor"
+                },
+                "rotate": {
+                    "type": "number",
+                    "description": "Rotation in degrees"
+                },
+                "blur": {
+                    "type": "number",
+                    "description": "Blur radius in px"
+                }
+            },
+            "required": [
+                "at"
+            ],
+            "additionalProperties": false
+        },
+        "BackgroundLayer": {
+            "type": "object",
+            "properties": {
+                "type": {
+                    "const": "background"
+                },
+                "color": {
+                    "type": "string",
+                    "description": "CSS color value"
+                },
+                "z": {
+                    "type": "number",
+                    "description": "Z-index relative to hero (hero is always 100)",
+                    "default": 0
+                },
+                "scrollTrack": {
+                    "type": "array",
+                    "items": {
+                        "$ref": "#/$defs/ScrollKeyframe"
+                    },
+                    "description": "Scroll-linked keyframes (see scroll-tracks.js)"
+                }
+            },
+            "required": [
+                "type",
+                "color"
+            ],
+            "additionalProperties": false
+        },
+        "ImageLayer": {
+            "type": "object",
+            "properties": {
+                "type": {
+                    "const": "image"
+                },
+                "src": {
+                    "type": "string",
+                    "description": "Image source path"
+                },
+                "position": {
+                    "$ref": "#/$defs/Position",
+                    "description": "CSS positioning"
+                },
+                "size": {
+                    "$ref": "#/$defs/Size",
+                    "description": "Image dimensions"
+                },
+                "animation": {
+                    "type": "string",
+                    "description": "Optional animation name"
+                },
+                "z": {
+                    "type": "number",
+                    "description": "Z-index relative to hero (max 50 to stay behind hero)",
+                    "default": 1,
+                    "maximum": 50
+                },
+                "opacity": {
+                    "type": "number",
+                    "description": "Image opacity (0-1)",
+                    "default": 1,
+                    "minimum": 0,
+                    "maximum": 1
+                },
+                "scrollTrack": {
+                    "type": "array",
+                    "items": {
+                        "$ref": "#/$defs/ScrollKeyframe"
+                    },
+                    "description": "Scroll-linked keyframes (see scroll-tracks.js)"
+                },
+                "allowOverlap": {
+                    "$ref": "#/$defs/OverlapAllowance",
+                    "description": "Intentional overlaps the validator shouldn't report"
+                }
+            },
+            "required": [
+                "type",
+                "src",
+                "position"
+            ],
+            "additionalProperties": false
+        },
+        "CustomLayer": {
+            "type": "object",
+            "properties": {
+                "type": {
+                    "const": "custom"
+                },
+                "renderer": {
+                    "type": "string",
+                    "description": "Renderer function name from registry"
+                },
+                "config": {
+                    "type": "object",
+                    "description": "Renderer-specific configuration"
+                },
+                "z": {
+                    "type": "number",
+                    "description": "Z-index relative to hero (max 50 to stay behind hero)",
+                    "default": 1,
+                    "maximum": 50
+                },
+                "scrollTrack": {
+                    "type": "array",
+                    "items": {
+                        "$ref": "#/$defs/ScrollKeyframe"
+                    },
+                    "description": "Scroll-linked keyframes (see scroll-tracks.js)"
+                },
+                "allowOverlap": {
+                    "$ref": "#/$defs/OverlapAllowance",
+                    "description": "Intentional overlaps the validator shouldn't report"
+                }
+            },
+            "required": [
+                "type",
+                "renderer"
+            ],
+            "additionalProperties": false
+        },
+        "OverlapAllowance": {
+            "anyOf": [
+                {
+                    "type": "boolean"
+                },
+                {
+                    "type": "array",
+                    "items": {
+                        "anyOf": [
+                            {
+                                "type": "string",
+                                "enum": [
+                                    "hero"
+                                ]
+                            },
+                            {
+                                "type": "number"
+                            }
+                        ]
+                    }
+                }
+            ],
+            "description": "true allows any overlap; a list names the hero and/or indexes of other layers in the same section this layer may overlap"
+        },
+        "Layer": {
+            "anyOf": [
+                {
+                    "$ref": "#/$defs/BackgroundLayer"
+                },
+                {
+                    "$ref": "#/$defs/ImageLayer"
+                },
+                {
+                    "$ref": "#/$defs/CustomLayer"
+                }
+            ]
+        },
+        "TimingConfig": {
+            "anyOf": [
+                {
+                    "type": "string",
+                    "enum": [
+                        "brisk",
+                        "reading",
+                        "presentation"
+                    ]
+                },
+                {
+                    "$ref": "#/$defs/TimingOverrides"
+                }
+            ],
+            "description": "A preset name from TIMING_PRESETS, or individual SCROLL_TIMING overrides"
+        },
+        "TimingOverrides": {
+            "type": "object",
+            "properties": {
+                "preset": {
+                    "type": "string",
+                    "enum": [
+                        "brisk",
+                        "reading",
+                        "presentation"
+                    ],
+                    "description": "Preset to start from"
+                },
+                "PANEL_READING_HOLD": {
+                    "type": "number",
+                    "description": "vh - time to read main panel text"
+                },
+                "CARD_READING_HOLD": {
+                    "type": "number",
+                    "description": "vh - time each reveal item holds before the next appears"
+                },
+                "CARD_FADE_DISTANCE": {
+                    "type": "number",
+                    "description": "vh - distance over which each reveal item fades in"
+                },
+                "PANEL_FADE_IN": {
+                    "type": "number",
+                    "description": "vh - distance over which panel fades in"
+                },
+                "PANEL_FADE_OUT": {
+                    "type": "number",
+                    "description": "vh - distance over which panel fades out"
+                },
+                "GREY_SPACE_BETWEEN": {
+                    "type": "number",
+                    "description": "vh - grey space between panels"
+                },
+                "LAST_PANEL_EXTRA_HOLD": {
+                    "type": "number",
+                    "description": "vh - extra hold time for last panel"
+                }
+            },
+            "additionalProperties": false
+        },
+        "FadeEasing": {
+            "type": "string",
+            "enum": [
+                "linear",
+                "ease-in-out",
+                "cubic"
+            ]
+        },
+        "ScrollConfig": {
+            "type": "object",
+            "properties": {
+                "height": {
+                    "type": "string",
+                    "description": "Section scroll height (derived from content and SCROLL_TIMING when omitted)"
+                },
+                "fadeZone": {
+                    "type": "number",
+                    "description": "Fade distance past the hold zone, both directions (fraction of viewport height)"
+                },
+                "fadeIn": {
+                    "type": "number",
+                    "description": "Fade-in distance (overrides fadeZone when approaching)"
+                },
+                "fadeOut": {
+                    "type": "number",
+                    "description": "Fade-out distance (overrides fadeZone when leaving)"
+                },
+                "easing": {
+                    "anyOf": [
+                        {
+                            "$ref": "#/$defs/FadeEasing"
+                        },
+                        {
+                            "type": "object",
+                            "properties": {
+                                "in": {
+                                    "$ref": "#/$defs/FadeEasing"
+                                },
+                                "out": {
+                                    "$ref": "#/$defs/FadeEasing"
+                                }
+                            },
+                            "additionalProperties": false
+                        }
+                    ],
+                    "description": "Fade curve, or separate in/out curves",
+                    "default": "linear"
+                },
+                "timing": {
+                    "$ref": "#/$defs/TimingConfig",
+                    "description": "Timing for this section, applied on top of the schema timing"
+                }
+            },
+            "additionalProperties": false
+        },
+        "Section": {
+            "type": "object",
+            "properties": {
+                "id": {
+                    "type": "string",
+                    "description": "Unique section identifier"
+                },
+                "hero": {
+                    "$ref": "#/$defs/HeroConfig",
+                    "description": "Hero text configuration"
+                },
+                "layers": {
+                    "type": "array",
+                    "items": {
+                        "$ref": "#/$defs/Layer"
+                    },
+                    "description": "Visual layers (background, images, custom elements)"
+                },
+                "scroll": {
+                    "$ref": "#/$defs/ScrollConfig",
+                    "description": "Scroll behavior configuration"
+                }
+            },
+            "required": [
+                "id",
+                "hero",
+                "layers"
+            ],
+            "additionalProperties": false
+        },
+        "SectionSchema": {
+            "type": "object",
+            "properties": {
+                "$schema": {
+                    "type": "string",
+                    "description": "Path or URL of this JSON Schema"
+                },
+                "sections": {
+                    "type": "array",
+                    "items": {
+                        "$ref": "#/$defs/Section"
+                    },
+                    "description": "Array of section configurations"
+                },
+                "timing": {
+                    "$ref": "#/$defs/TimingConfig",
+                    "description": "Timing for every section (defaults to SCROLL_TIMING)"
+                }
+            },
+            "required": [
+                "sections"
+            ],
+            "additionalProperties": false
+        }
+    }
+};
+
+export { sectionJsonSchema };
@@ -0,0 +1,378 @@
+/**
+ * Section Loader
+ * Loads a section schema document (JSON or YAML) so copy and layout changes
+ * don't need JS edits
+ *
+ * On top of the plain schema, documents can use:
+ *
+ * - Shared fragments: put reusable objects under "fragments" and reference
+ *   them with { "$ref": "#/fragments/name" }. Sibling keys override the
+ *   fragment's values (shallow merge).
+ * - Expressions: string values starting with "$timing." or "$height" are
+ *   evaluated with + - * / and parentheses over numbers and
+ *     $timing.NAME - the section's resolved SCROLL_TIMING value
+ *     $height      - the section's computed scroll height in vh (the result
+ *                    becomes a vh length, e.g. "$height + 50" -> "385vh")
+ *   Other strings, like hero text "$5 off", are left alone. Write "$$height"
+ *   or "$$timing." for text that starts with those words.
+ *
+ * The resolved document is validated with validateSchema before it is returned.
+ */
+
+import { parseYaml } from './yaml-subset.js';
+import { validateSchema, computeSectionHeight, resolveSectionTiming } from './section-schema.js';
+import { resolveTiming } from './scroll-timing-config.js';
+import { joinPath } from './json-schema-validator.js';
+
+/**
+ * Create the error thrown when a schema document can't be loaded
+ * @param {string} message
+ * @param {Object} [details]
+ * @param {string} [details.url] - Document the error came from
+ * @param {import('./json-schema-validator.js').ValidationIssue[]} [details.issues] - Individual problems
+ * @returns {Error & {url?: string, issues: import('./json-schema-validator.js').ValidationIssue[]}}
+ */
+function schemaLoadError(message, { url, issues = [] } = {}) {
+    const detail = issues.map(issue => `\n  ${issue.path ? `${issue.path}: ` : ''}${issue.message}`).join('');
+    const error = new Error(`${url ? `${url}: ` : ''}${message}${detail}`);
+    error.name = 'SchemaLoadError';
+    error.url = url;
+    error.issues = issues;
+    return error;
+}
+
+/**
+ * Whether an error was thrown by the loader
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isSchemaLoadError(error) {
+    return error?.name === 'SchemaLoadError';
+}
+
+/**
+ * Pick the document format from the URL extension or content type
+ * @param {string} [url]
+ * @param {string} [contentType]
+ * @returns {'json'|'yaml'}
+ */
+function detectFormat(url = '', contentType = '') {
+    if (/\.ya?ml(?:[?#].*)?$/i.test(url) || /yaml/i.test(contentType)) return 'yaml';
+    return 'json';
+}
+
+/**
+ * 1-based line number of a character offset
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number}
+ */
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Parse a schema document's text
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {'json'|'yaml'} [options.format] - Defaults to detecting from the URL
+ * @param {string} [options.url] - Used for format detection and error messages
+ * @returns {Object}
+ * @throws {Error} SchemaLoadError when the text is malformed
+ */
+function parseSchemaDocument(text, { format, url } = {}) {
+    const type = format || detectFormat(url);
+    let document;
+
+    try {
+        if (type === 'yaml') {
+            document = parseYaml(text);
+        } else {
+            document = JSON.parse(text);
+        }
+    } catch (error) {
+        let line = error.line;
+        const position = error.message.match(/position (\d+)/);
+        const lineColumn = error.message.match(/line (\d+) column/);
+        if (!line && position) line = lineAt(text, Number(position[1]));
+        if (!line && lineColumn) line = Number(lineColumn[1]);
+
+        throw schemaLoadError(`malformed ${type.toUpperCase()}`, {
+            url,
+            issues: [{ path: line ? `line ${line}` : '', code: 'parse', message: error.message.replace(/^line \d+: /, '') }]
+        });
+    }
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw schemaLoadError('schema document must be an object with a "sections" array', { url });
+    }
+
+    return document;
+}
+
+/**
+ * Replace { "$ref": "#/..." } objects with the referenced fragment
+ * @param {*} value
+ * @param {Object} document - Root the refs resolve against
+ * @param {string} path
+ * @param {import('./json-schema-validator.js').ValidationIssue[]} issues
+ * @param {string[]} [resolving] - Refs currently being expanded (cycle detection)
+ * @returns {*}
+ */
+function resolveRefs(value, document, path, issues, resolving = []) {
+    if (Array.isArray(value)) {
+        return value.map((item, idx) => resolveRefs(item, document, joinPath(path, idx), issues, resolving));
+    }
+    if (!value || typeof value !== 'object') return value;
+
+    const { $ref, ...overrides } = value;
+    let base = {};
+
+    if ($ref !== undefined) {
+        const target = typeof $ref === 'string' && $ref.startsWith('#/')
+            ? $ref.slice(2).split('/')
+                .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), document)
+            : undefined;
+
+        if (resolving.includes($ref)) {
+            issues.push({ path: joinPath(path, '$ref'), code: 'ref', message: `circular $ref "${$ref}"` });
+        } else if (!target || typeof target !== 'object' || Array.isArray(target)) {
+            const reason = typeof $ref === 'string' && $ref.startsWith('#/')
+                ? 'does not point to an object in this document'
+                : 'must be a local reference like "#/fragments/name"';
+            issues.push({ path: joinPath(path, '$ref'), code: 'ref', message: `$ref "${$ref}" ${reason}` });
+        } else {
+            base = resolveRefs(target, document, path, issues, [...resolving, $ref]);
+        }
+    }
+
+    const resolved = { ...base };
+    Object.entries(overrides).forEach(([key, child]) => {
+        resolved[key] = resolveRefs(child, document, joinPath(path, key), issues, resolving);
+    });
+    return resolved;
+}
+
+/**
+ * Evaluate an expression like "$timing.PANEL_FADE_IN * 2" or "$height + 50"
+ * @param {string} source - Expression string from the document
+ * @param {{timing: Object<string, number>, height?: number}} scope
+ * @returns {number}
+ * @throws {Error} On syntax errors or unknown names
+ */
+function evaluateExpression(source, scope) {
+    const tokens = source.match(/\$[A-Za-z_][\w.]*|\d*\.?\d+(?:vh)?|[-+*/()]|\S/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    function factor() {
+        const token = next();
+
+        if (token === undefined) throw new Error('unexpected end of expression');
+        if (token === '-') return -factor();
+        if (token === '(') {
+            const value = sum();
+            if (next() !== ')') throw new Error('missing ")"');
+            return value;
+        }
+        if (/^\d*\.?\d+(?:vh)?$/.test(token)) return parseFloat(token);
+        if (token === '$height') {
+            if (scope.height === undefined) throw new Error('$height is only available inside a section');
+            return scope.height;
+        }
+        if (token.startsWith('$timing.')) {
+            const name = token.slice('$timing.'.length);
+            if (typeof scope.timing[name] !== 'number') {
+                throw new Error(`unknown timing value "${name}" (expected one of ${Object.keys(scope.timing).join(', ')})`);
+            }
+            return scope.timing[name];
+        }
+        throw new Error(`unexpected "${token}"`);
+    }
+
+    function product() {
+        let value = factor();
+        while (peek() === '*' || peek() === '/') {
+            value = next() === '*' ? value * factor() : value / factor();
+        }
+        return value;
+    }
+
+    function sum() {
+        let value = product();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + product() : value - product();
+        }
+        return value;
+    }
+
+    const value = sum();
+    if (position < tokens.length) throw new Error(`unexpected "${peek()}"`);
+    if (!Number.isFinite(value)) throw new Error('result is not a finite number');
+    return value;
+}
+
+/**
+ * Strings that are expressions (after an optional "$" escape)
+ */
+const EXPRESSION_START = /^\$(?:timing\.|height\b)/;
+
+/**
+ * Evaluate every expression string in a value
+ * Expressions that use $height are left untouched while scope.height is unknown.
+ * @param {*} value
+ * @param {string} path
+ * @param {{timing: Object<string, number>, height?: number}} scope
+ * @param {import('./json-schema-validator.js').ValidationIssue[]} issues
+ * @returns {*}
+ */
+function resolveExpressions(value, path, scope, issues) {
+    if (Array.isArray(value)) {
+        return value.map((item, idx) => resolveExpressions(item, joinPath(path, idx), scope, issues));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => (
+            [key, resolveExpressions(child, joinPath(path, key), scope, issues)]
+        )));
+    }
+    if (typeof value !== 'string') return value;
+
+    // "$$height..." waits for the $height pass too, so its unescaped text isn't evaluated there
+    const escaped = value.startsWith('$$');
+    const source = escaped ? value.slice(1) : value;
+    if (!EXPRESSION_START.test(source)) return value;
+
+    const usesHeight = /\$height\b/.test(source);
+    if (usesHeight && scope.height === undefined) return value;
+    if (escaped) return source;
+
+    try {
+        const result = Math.round(evaluateExpression(value, scope) * 100) / 100;
+        return usesHeight ? `${result}vh` : result;
+    } catch (error) {
+        issues.push({ path, code: 'expression', message: `${value}: ${error.message}` });
+        return value;
+    }
+}
+
+/**
+ * Resolve fragments and expressions in a parsed schema document
+ * @param {Object} document - Parsed document (not modified)
+ * @returns {{schema: import('./section-schema.js').SectionSchema, issues: import('./json-schema-validator.js').ValidationIssue[], derivedHeights: number[]}}
+ *   derivedHeights lists the sections whose scroll.height came from a $height expression
+ */
+function resolveSchemaDocument(document) {
+    const issues = [];
+    const { fragments, sections, ...rest } = resolveRefs(document, document, '', issues);
+
+    const schema = { ...resolveExpressions(rest, '', { timing: resolveTiming() }, issues), sections };
+    const derivedHeights = [];
+    if (!Array.isArray(sections)) {
+        return { schema, issues, derivedHeights };
+    }
+
+    // Timing overrides first, so other expressions see the section's own timing
+    schema.sections = schema.sections.map((section, idx) => {
+        if (!section || typeof section !== 'object') return section;
+
+        const path = `sections[${idx}]`;
+        const scopeTiming = resolveTiming(schema.timing);
+        let resolved = section;
+
+        if (section.scroll?.timing !== undefined) {
+            const timing = resolveExpressions(section.scroll.timing, `${path}.scroll.timing`, { timing: scopeTiming }, issues);
+            resolved = { ...resolved, scroll: { ...resolved.scroll, timing } };
+        }
+
+        return resolveExpressions(resolved, path, { timing: resolveSectionTiming(resolved, schema.timing) }, issues);
+    });
+
+    // $height last - it depends on every section's layers and timing
+    schema.sections = schema.sections.map((section, idx) => {
+        if (!section || typeof section !== 'object' || !Array.isArray(section.layers)) return section;
+        if (section.layers.some(layer => !layer || typeof layer !== 'object')) return section;
+        if (!JSON.stringify(section).includes('$height')) return section;
+        // Failed expressions are left as strings - don't report them twice
+        if (issues.some(issue => issue.path.startsWith(`sections[${idx}]`))) return section;
+
+        const height = parseFloat(computeSectionHeight(section, idx, schema.sections, schema.timing));
+        if (typeof section.scroll?.height === 'string' && section.scroll.height.includes('$height')) {
+            derivedHeights.push(idx);
+        }
+        return resolveExpressions(section, `sections[${idx}]`, {
+            timing: resolveSectionTiming(section, schema.timing),
+            height
+        }, issues);
+    });
+
+    return { schema, issues, derivedHeights };
+}
+
+/**
+ * Fetch, parse, resolve and validate a schema document
+ * @param {string} url - JSON (.json) or YAML (.yaml/.yml) document
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true] - Validate in strict mode (see validateSchema)
+ * @param {typeof fetch} [options.fetch] - Fetch implementation (defaults to the global)
+ * @returns {Promise<{schema: import('./section-schema.js').SectionSchema, warnings: Array<string|import('./json-schema-validator.js').ValidationIssue>}>}
+ * @throws {Error} SchemaLoadError when the document can't be fetched, parsed, resolved or validated
+ */
+async function loadSchema(url, { strict = true, fetch: fetchFn = globalThis.fetch } = {}) {
+    let response;
+    try {
+        response = await fetchFn(url);
+    } catch (error) {
+        throw schemaLoadError(`could not fetch schema (${error.message})`, { url });
+    }
+    if (!response.ok) {
+        throw schemaLoadError(`could not fetch schema (HTTP ${response.status})`, { url });
+    }
+
+    const text = await response.text();
+    const format = detectFormat(url, response.headers?.get?.('content-type') || '');
+    return resolveAndValidate(parseSchemaDocument(text, { format, url }), { url, strict });
+}
+
+/**
+ * Resolve and validate an already-parsed document
+ * @param {Object} document
+ * @param {Object} [options]
+ * @param {string} [options.url] - For error messages
+ * @param {boolean} [options.strict=true]
+ * @returns {{schema: import('./section-schema.js').SectionSchema, warnings: Array<string|import('./json-schema-validator.js').ValidationIssue>}}
+ * @throws {Error} SchemaLoadError when fragments, expressions or validation fail
+ */
+function resolveAndValidate(document, { url, strict = true } = {}) {
+    const { schema, issues, derivedHeights } = resolveSchemaDocument(document);
+    if (issues.length > 0) {
+        throw schemaLoadError('could not resolve schema', { url, issues });
+    }
+
+    const validation = validateSchema(schema, { strict });
+    if (!validation.valid) {
+        const validationIssues = validation.errors.map(error => (
+            typeof error === 'string' ? { path: '', code: 'invalid', message: error } : error
+        ));
+        throw schemaLoadError('schema is invalid', { url, issues: validationIssues });
+    }
+
+    // Heights written as "$height + ..." differ from the computed height on purpose
+    const warnings = validation.warnings.filter(warning => !derivedHeights.some(idx => (
+        typeof warning === 'string'
+            ? warning.startsWith(`Section ${idx}: scroll.height`)
+            : warning.code === 'height-mismatch' && warning.path === `sections[${idx}].scroll.height`
+    )));
+
+    return { schema, warnings };
+}
+
+export {
+    loadSchema,
+    parseSchemaDocument,
+    resolveSchemaDocument,
+    resolveAndValidate,
+    isSchemaLoadError
+};
@@ -0,0 +1,278 @@
+/**
+ * Section Navigation
+ * Deep links, keyboard stepping and an optional progress-dot rail for the
+ * fullscreen sections
+ *
+ * A section is "at" its hold-zone center when its center is at the viewport
+ * center - full opacity, the same point calculateSectionFrame measures from.
+ * Landing at the top of a section's placeholder instead would show an empty
+ * grey screen, so every jump here goes to the hold-zone center:
+ *   - #section-02 in the URL (on load and on hashchange)
+ *   - PageUp/PageDown and ArrowUp/ArrowDown while the sections are on screen
+ *   - clicking a progress dot
+ * The hash follows the active section (the last one to reach its hold zone).
+ *
+ * Usage (after buildAllSections and setupScrollBehavior):
+ *   const navigation = createSectionNavigation(schema, { dots: true });
+ *   navigation.scrollToSection('section-02');
+ */
+
+import { getSectionRegistry } from './section-builder.js';
+import { onSectionEvent } from './section-events.js';
+import { heroTextLines } from './hero-text.js';
+
+const STEP_KEYS = {
+    PageDown: 1,
+    ArrowDown: 1,
+    PageUp: -1,
+    ArrowUp: -1
+};
+
+/**
+ * Whether a key event comes from something that handles keys itself
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isTypingTarget(event) {
+    const target = event.target;
+    return Boolean(target && (
+        target.isContentEditable ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+    ));
+}
+
+/**
+ * Section id from the URL hash
+ * A malformed escape like #%E0 can't be decoded and is treated as no section.
+ * @returns {string|null}
+ */
+function hashSectionId() {
+    try {
+        return decodeURIComponent(window.location.hash.slice(1));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Plain-text label for a section's dot, from its hero text (markup or rich-text nodes)
+ * @param {import('./section-schema.js').Section} section
+ * @returns {string}
+ */
+function sectionLabel(section) {
+    const text = section.hero?.text ? heroTextLines(section.hero.text).join(' ') : '';
+    return text.replace(/\s+/g, ' ').trim() || section.id;
+}
+
+/**
+ * Create the progress-dot rail
+ * @param {import('./section-schema.js').Section[]} sections
+ * @param {(id: string) => void} onSelect
+ * @returns {{el: HTMLElement, dots: Map<string, HTMLElement>}}
+ */
+function createDotRail(sections, onSelect) {
+    const el = document.createElement('nav');
+    el.className = 'section-dots';
+    el.setAttribute('aria-label', 'Sections');
+    el.style.cssText = `
+        position: fixed;
+        top: 50%;
+        right: 20px;
+        transform: translateY(-50%);
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        z-index: 200;
+        opacity: 0;
+        pointer-events: none;
+        transition: opacity 0.3s ease-out;
+    `;
+
+    const dots = new Map();
+    sections.forEach(section => {
+        const dot = document.createElement('button');
+        dot.setAttribute('type', 'button');
+        dot.className = 'section-dot';
+        dot.dataset.sectionId = section.id;
+        dot.setAttribute('aria-label', sectionLabel(section));
+        dot.style.cssText = `
+            width: 10px;
+            height: 10px;
+            padding: 0;
+            border: 2px solid #0B2532;
+            border-radius: 50%;
+            background: transparent;
+            cursor: pointer;
+        `;
+        dot.addEventListener('click', () => onSelect(section.id));
+        el.appendChild(dot);
+        dots.set(section.id, dot);
+    });
+
+    return { el, dots };
+}
+
+/**
+ * Set up navigation for the built sections
+ * @param {import('./section-schema.js').SectionSchema} schema
+ * @param {Object} [options]
+ * @param {boolean} [options.dots=false] - Render the progress-dot rail
+ * @param {boolean} [options.keyboard=true] - Step between panels with PageUp/PageDown/arrow keys
+ * @param {boolean} [options.updateHash=true] - Keep the URL hash on the active section
+ * @returns {{
+ *   scrollToSection: (id: string, options?: {behavior?: ScrollBehavior}) => boolean,
+ *   step: (direction: 1|-1) => boolean,
+ *   getActiveSection: () => string|null,
+ *   destroy: () => void
+ * }}
+ */
+function createSectionNavigation(schema, { dots = false, keyboard = true, updateHash = true } = {}) {
+    const sectionIds = schema.sections.map(section => section.id);
+    const visible = new Set();
+    let active = null;
+
+    const reducedMotion = typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const defaultBehavior = reducedMotion ? 'auto' : 'smooth';
+
+    /**
+     * Page geometry of a section, measured now (navigation is rare, so nothing is cached)
+     * @param {string} id
+     * @returns {{top: number, height: number, center: number}|null} center is the scrollY of its hold-zone center
+     */
+    function measure(id) {
+        const container = getSectionRegistry().get(id)?.container;
+        if (!container) return null;
+
+        const rect = container.getBoundingClientRect();
+        const top = rect.top + window.scrollY;
+        return { top, height: rect.height, center: top + (rect.height / 2) - (window.innerHeight / 2) };
+    }
+
+    function scrollToSection(id, { behavior = defaultBehavior } = {}) {
+        const geometry = measure(id);
+        if (!geometry) return false;
+
+        window.scrollTo({ top: Math.max(0, geometry.center), behavior });
+        return true;
+    }
+
+    /**
+     * Jump to the next/previous panel's hold-zone center
+     * Only while the viewport center is over the sections, so keys keep their
+     * normal behavior on the rest of the page and past the first/last panel.
+     * @param {1|-1} direction
+     * @returns {boolean} Whether it scrolled
+     */
+    function step(direction) {
+        const layout = sectionIds.map(measure).filter(Boolean);
+        if (layout.length === 0) return false;
+
+        const viewportCenter = window.scrollY + (window.innerHeight / 2);
+        const first = layout[0];
+        const last = layout[layout.length - 1];
+        if (viewportCenter < first.top || viewportCenter > last.top + last.height) return false;
+
+        // 1px tolerance so a panel already at its center counts as current
+        const target = direction > 0
+            ? layout.find(item => item.center > window.scrollY + 1)
+            : [...layout].reverse().find(item => item.center < window.scrollY - 1);
+        if (!target) return false;
+
+        window.scrollTo({ top: Math.max(0, target.center), behavior: defaultBehavior });
+        return true;
+    }
+
+    const rail = dots ? createDotRail(schema.sections, id => scrollToSection(id)) : null;
+    if (rail) {
+        document.body.appendChild(rail.el);
+    }
+
+    function setActive(id) {
+        if (id === active) return;
+        const previousDot = rail?.dots.get(active);
+        const dot = rail?.dots.get(id);
+        if (previousDot) {
+            previousDot.removeAttribute('aria-current');
+            previousDot.style.background = 'transparent';
+        }
+        if (dot) {
+            dot.setAttribute('aria-current', 'true');
+            dot.style.background = '#0B2532';
+        }
+        active = id;
+
+        if (updateHash) {
+            const hash = id ? `#${id}` : '';
+            if (window.location.hash !== hash) {
+                // replaceState: scrolling shouldn't add history entries or fire hashchange
+                window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+            }
+        }
+    }
+
+    function updateRailVisibility() {
+        if (!rail) return;
+        rail.el.style.opacity = visible.size > 0 ? '1' : '0';
+        rail.el.style.pointerEvents = visible.size > 0 ? 'auto' : 'none';
+    }
+
+    const ours = ({ detail }) => sectionIds.includes(detail.sectionId);
+    const unsubscribe = [
+        onSectionEvent('holdstart', event => {
+            if (ours(event)) setActive(event.detail.sectionId);
+        }),
+        onSectionEvent('enter', event => {
+            if (!ours(event)) return;
+            visible.add(event.detail.sectionId);
+            updateRailVisibility();
+        }),
+        onSectionEvent('exit', event => {
+            if (!ours(event)) return;
+            visible.delete(event.detail.sectionId);
+            updateRailVisibility();
+            // Scrolled off the sections entirely - the hash no longer describes the view
+            if (visible.size === 0) setActive(null);
+        })
+    ];
+
+    function onKeyDown(event) {
+        const direction = STEP_KEYS[event.key];
+        if (!direction || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+        if (isTypingTarget(event)) return;
+
+        if (step(direction)) {
+            event.preventDefault();
+        }
+    }
+
+    function onHashChange() {
+        const id = hashSectionId();
+        if (sectionIds.includes(id)) scrollToSection(id);
+    }
+
+    if (keyboard) {
+        window.addEventListener('keydown', onKeyDown);
+    }
+    window.addEventListener('hashchange', onHashChange);
+
+    // Deep link on load - the browser has already jumped to the top of the placeholder
+    const initial = hashSectionId();
+    if (sectionIds.includes(initial)) {
+        scrollToSection(initial, { behavior: 'auto' });
+    }
+
+    return {
+        scrollToSection,
+        step,
+        getActiveSection: () => active,
+        destroy() {
+            unsubscribe.forEach(off => off());
+            window.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('hashchange', onHashChange);
+            rail?.el.remove();
+        }
+    };
+}
+
+export { createSectionNavigation };
@@ -3,7 +3,56 @@
  * Maps layer types and custom renderer names to render functions
  */
 
-import { scatteredPositions, columnLayout, toCSSString } from './positioning-helpers.js';
+import { scatteredPositions, columnLayout, resolvePosition, toCSSString } from './positioning-helpers.js';
+import { ROOT_FONT_SIZE, resolveLength } from './css-length.js';
+
+/**
+ * Width limits the image renderer applies to every image
+ * (max-width is relative to the viewport, the fixed image's containing block)
+ */
+const IMAGE_CONSTRAINTS = {
+    minWidth: '200px',
+    maxWidth: '100%'
+};
+
+/**
+ * Version of the markup renderLayer and the hero produce
+ * Part of the pre-render fingerprint (section-builder.js), so bump it when
+ * their output changes. Custom renderers are covered by their source instead.
+ */
+const RENDERER_VERSION = 1;
+
+/**
+ * Transform the image renderer applies to a layer
+ * Images are always centered horizontally when left is 50%.
+ * @param {import('./section-schema.js').ImageLayer} layer
+ * @returns {string} CSS transform ('' for none)
+ */
+function imageTransform(layer) {
+    return layer.position?.left === '50%' ? 'translateX(-50%)' : '';
+}
+
+/**
+ * Challenge card corners: scattered near center, overlapping the hero zone intentionally
+ * Percentages of the viewport.
+ */
+const CHALLENGE_CARD_POSITIONS = {
+    'top-left': { top: '25%', left: '35%' },
+    'top-right': { top: '30%', right: '32%' },
+    'bottom-left': { bottom: '30%', left: '30%' },
+    'bottom-right': { bottom: '35%', right: '35%' }
+};
+
+/**
+ * Rough rendered width of a line of text (for bounds estimates, not layout)
+ * @param {string} text
+ * @param {number} fontSize - px
+ * @param {number} [em=0.55] - Average glyph width in em
+ * @returns {number}
+ */
+function estimateTextWidth(text, fontSize, em = 0.55) {
+    return text.length * fontSize * em;
+}
 
 const renderers = {
     /**
@@ -40,23 +89,20 @@ const renderers = {
         const img = document.createElement('img');
         img.src = layer.src;
 
-        // Always center horizontally if left is 50%
-        const needsHorizontalCenter = layer.position.left === '50%';
-
         img.style.cssText = `
             position: fixed;
             ${layer.position.top ? `top: ${layer.position.top};` : ''}
             ${layer.position.right ? `right: ${layer.position.right};` : ''}
             ${layer.position.bottom ? `bottom: ${layer.position.bottom};` : ''}
             ${layer.position.left ? `left: ${layer.position.left};` : ''}
-            ${needsHorizontalCenter ? 'transform: translateX(-50%);' : ''}
+            ${imageTransform(layer) ? `transform: ${imageTransform(layer)};` : ''}
             ${layer.size?.width ? `width: ${layer.size.width};` : ''}
             ${layer.size?.height ? `height: ${layer.size.height};` : ''}
-            min-width: 200px;
+            min-width: ${IMAGE_CONSTRAINTS.minWidth};
             z-index: ${layer.z || 1};
             opacity: 0;
             transition: opacity 0.3s ease-out;
-            max-width: 100%;
+            max-width: ${IMAGE_CONSTRAINTS.maxWidth};
             object-fit: contain;
         `;
 
@@ -79,7 +125,7 @@ const renderers = {
             console.error(`Custom renderer "${layer.renderer}" not found`);
             return document.createElement('div');
         }
-        return rendererFn(layer.config || {}, container, layer.z || 1);
+        return rendererFn(resolveRendererConfig(layer), container, layer.z || 1);
     }
 };
 
@@ -91,7 +137,7 @@ const customRenderers = {
     /**
      * Starfield visual (temporary - will be replaced with nautical theme)
      * @param {Object} config
-     * @param {number} config.count - Number of stars
+     * @param {number} [config.count=100] - Number of stars
      * @param {HTMLElement} container
      * @param {number} z - Z-index
      * @returns {HTMLElement}
@@ -112,7 +158,7 @@ const customRenderers = {
         `;
 
         // Generate stars using positioning helper (avoids hero zone)
-        const positions = scatteredPositions(config.count || 100, {
+        const positions = scatteredPositions(config.count, {
             avoidCenter: true,
             centerExclusionRadius: 0.3
         });
@@ -209,10 +255,11 @@ const customRenderers = {
         rightColumn.className = 'challenge-column challenge-column-right';
         rightColumn.style.cssText = toCSSString(columnLayout('right'));
 
-        (config.challengeBoxes || []).forEach(box => {
+        (config.challengeBoxes || []).forEach((box, index) => {
             const challenge = document.createElement('div');
             challenge.className = 'challenge';
             challenge.textContent = box.text;
+            challenge.dataset.revealIndex = index;
             challenge.style.cssText = `
                 background: white;
                 padding: 15px 20px;
@@ -223,9 +270,7 @@ const customRenderers = {
                 box-shadow: 0 4px 12px rgba(0,0,0,0.15);
                 opacity: 0;
                 transform: scale(0.8);
-                animation: popIn 0.5s ease-out forwards;
                 border: 2px solid #F2D6A2;
-                animation-delay: ${box.delay}s;
             `;
 
             if (box.position === 'left') {
@@ -263,20 +308,13 @@ const customRenderers = {
             pointer-events: none;
         `;
 
-        // Scattered positions near center, overlapping hero zone intentionally
-        const positionStyles = {
-            'top-left': { top: '25%', left: '35%' },
-            'top-right': { top: '30%', right: '32%' },
-            'bottom-left': { bottom: '30%', left: '30%' },
-            'bottom-right': { bottom: '35%', right: '35%' }
-        };
-
         (config.cards || []).forEach((card, index) => {
             const cardEl = document.createElement('div');
             cardEl.className = 'challenge-card';
             cardEl.textContent = card.text;
+            cardEl.dataset.revealIndex = index;
 
-            const pos = positionStyles[card.position] || positionStyles['top-left'];
+            const pos = CHALLENGE_CARD_POSITIONS[card.position] || CHALLENGE_CARD_POSITIONS['top-left'];
 
             cardEl.style.cssText = `
                 position: absolute;
@@ -365,9 +403,11 @@ const customRenderers = {
             text-align: left;
         `;
 
-        (config.items || []).forEach(item => {
+        (config.items || []).forEach((item, index) => {
             const li = document.createElement('li');
+            li.dataset.revealIndex = index;
             li.style.cssText = `
+                opacity: 0;
                 font-size: clamp(1rem, 3vw, 1.3rem);
                 font-weight: 600;
                 color: #0B2532;
@@ -438,13 +478,240 @@ const customRenderers = {
     }
 };
 
+/**
+ * @typedef {Object} RevealOptions
+ * Reveal items are child elements marked with data-reveal-index; they fade in
+ * one after another while the section holds, like the challenge cards.
+ * @property {(config: Object) => number} count - Number of reveal items for a config (drives hold time)
+ * @property {number} [hold] - Per-item reading hold in vh (defaults to SCROLL_TIMING.CARD_READING_HOLD)
+ * @property {number} [fade] - Per-item fade-in distance in vh (defaults to SCROLL_TIMING.CARD_FADE_DISTANCE)
+ * @property {number} [tilt=0] - Max random rotation spread in degrees
+ */
+
+/**
+ * @typedef {Object} RendererOptions
+ * @property {string} [description] - What the renderer draws (shown in docs and tooling)
+ * @property {Object} [config] - JSON Schema for the layer's config; validateSchema checks configs against it
+ * @property {Object} [defaults] - Config values used when the layer omits them
+ * @property {RevealOptions} [reveal] - Staggered reveal of the renderer's items
+ * @property {(config: Object, viewport: {width: number, height: number}) => LayerBox|LayerBox[]} [bounds]
+ *   Where the renderer draws for a config (defaults filled in) at a viewport size, in px, after its own
+ *   transforms; the validator checks these boxes for overlaps. Return [] for purely decorative output.
+ *   Renderers without bounds get a "cannot be validated" warning.
+ * @property {import('./section-schema.js').OverlapAllowance} [allowOverlap] - Default allowOverlap for layers using this renderer
+ */
+
+/**
+ * @typedef {Object} LayerBox
+ * @property {number} top - px from the top of the viewport
+ * @property {number} left - px from the left of the viewport
+ * @property {number} width - px
+ * @property {number} height - px
+ */
+
+/**
+ * Options for custom renderers, keyed by renderer name
+ * @type {Object<string, RendererOptions>}
+ */
+const rendererOptions = {
+    starfield: {
+        description: 'Twinkling stars scattered around the hero zone',
+        config: {
+            type: 'object',
+            properties: {
+                count: { type: 'integer', minimum: 0, description: 'Number of stars' }
+            },
+            additionalProperties: false
+        },
+        defaults: { count: 100 },
+        // Decorative dots that already avoid the hero zone
+        bounds: () => []
+    },
+    'tangled-arrows': {
+        description: 'Tangled SVG arrows with challenge boxes in the left and right columns',
+        config: {
+            type: 'object',
+            properties: {
+                challengeBoxes: {
+                    type: 'array',
+                    description: 'Challenge boxes, revealed in order',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            text: { type: 'string', description: 'Box text' },
+                            position: { enum: ['left', 'right'], description: 'Column (defaults to right)' },
+                            delay: {
+                                type: 'number',
+                                description: 'Deprecated and ignored: boxes used to pop in after this many seconds, they now reveal with scroll'
+                            }
+                        },
+                        required: ['text'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['challengeBoxes'],
+            additionalProperties: false
+        },
+        reveal: { count: config => (config.challengeBoxes || []).length },
+        // The arrows are decorative; the boxes stack in 15vw columns inset 3vw from the edges
+        bounds: (config, viewport) => {
+            const inset = viewport.width * 0.03;
+            const width = viewport.width * 0.15;
+            const height = viewport.height - inset * 2;
+            const boxes = config.challengeBoxes || [];
+            const sides = new Set(boxes.map(box => (box.position === 'left' ? 'left' : 'right')));
+            return [...sides].map(side => ({
+                top: inset,
+                left: side === 'left' ? inset : viewport.width - inset - width,
+                width,
+                height
+            }));
+        }
+    },
+    'challenge-cards': {
+        description: 'Tilted challenge cards scattered around the hero text',
+        config: {
+            type: 'object',
+            properties: {
+                cards: {
+                    type: 'array',
+                    description: 'Cards, revealed in order',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            text: { type: 'string', description: 'Card text' },
+                            position: {
+                                enum: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+                                description: 'Corner (defaults to top-left)'
+                            }
+                        },
+                        required: ['text'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['cards'],
+            additionalProperties: false
+        },
+        reveal: { count: config => (config.cards || []).length, tilt: 10 },
+        // Cards are max 200px wide with 15px/20px padding and 0.9rem text (ignoring tilt);
+        // a card whose position can't be resolved is left out rather than measured as NaN
+        bounds: (config, viewport) => (config.cards || []).flatMap(card => {
+            const fontSize = 0.9 * ROOT_FONT_SIZE;
+            const textWidth = estimateTextWidth(card.text, fontSize);
+            const width = Math.min(200, textWidth + 44);
+            const lines = Math.max(1, Math.ceil(textWidth / (width - 44)));
+            const height = lines * fontSize * 1.2 + 34;
+
+            const pos = CHALLENGE_CARD_POSITIONS[card.position] || CHALLENGE_CARD_POSITIONS['top-left'];
+            const corner = resolvePosition(pos, viewport, { width, height });
+            return corner ? [{ ...corner, width, height }] : [];
+        }),
+        allowOverlap: ['hero']
+    },
+    'checklist': {
+        description: 'Card with a title and checkmarked items, revealed one by one',
+        config: {
+            type: 'object',
+            properties: {
+                title: { type: 'string', description: 'Optional heading above the list' },
+                items: { type: 'array', items: { type: 'string' }, description: 'List items, revealed in order' }
+            },
+            required: ['items'],
+            additionalProperties: false
+        },
+        reveal: { count: config => (config.items || []).length },
+        // Card centered horizontally below the viewport's midline, sized from the clamp() styles above
+        bounds: (config, viewport) => {
+            const px = value => resolveLength(value, { viewport });
+            const width = Math.min(650, viewport.width * 0.81);
+            const paddingY = px('clamp(20px, 3vw, 30px)');
+            const paddingX = px('clamp(25px, 4vw, 35px)');
+            const border = 3;
+
+            let height = paddingY * 2 + border * 2;
+            if (config.title) {
+                height += px('clamp(1.8rem, 4.5vw, 2.5rem)') * 1.2 + px('clamp(15px, 2vh, 20px)');
+            }
+
+            const items = config.items || [];
+            const itemFont = px('clamp(1rem, 3vw, 1.3rem)');
+            const checkFont = px('clamp(1.3rem, 4vw, 1.8rem)');
+            const textWidth = width - paddingX * 2 - border * 2 - checkFont - px('clamp(12px, 2vw, 15px)');
+            items.forEach(item => {
+                const lines = Math.max(1, Math.ceil(estimateTextWidth(item, itemFont) / textWidth));
+                height += Math.max(checkFont * 1.2, lines * itemFont * 1.2);
+            });
+            height += (items.length + 1) * px('clamp(10px, 1.5vh, 12px)');
+
+            return { top: viewport.height / 2, left: (viewport.width - width) / 2, width, height };
+        }
+    },
+    'jetty-method-title': {
+        description: 'Fixed "The Jetty Method" heading near the top of the viewport',
+        config: {
+            type: 'object',
+            properties: {},
+            additionalProperties: false
+        },
+        // One line of Caveat (a narrow script face) centered at top: 8%
+        bounds: (config, viewport) => {
+            const fontSize = resolveLength('clamp(2rem, 8vw, 3rem)', { viewport });
+            const width = Math.min(viewport.width, estimateTextWidth('The Jetty Method', fontSize, 0.45));
+            return { top: viewport.height * 0.08, left: (viewport.width - width) / 2, width, height: fontSize * 1.25 };
+        }
+    }
+};
+
 /**
  * Register a new custom renderer
  * @param {string} name - Renderer name
  * @param {Function} rendererFn - Renderer function (config, container, z) => HTMLElement
+ * @param {RendererOptions} [options] - Config schema, defaults, reveal items and other renderer metadata
  */
-function registerRenderer(name, rendererFn) {
+function registerRenderer(name, rendererFn, options = {}) {
     customRenderers[name] = rendererFn;
+    rendererOptions[name] = options;
+}
+
+/**
+ * Get a custom renderer's options (config schema, defaults, description, reveal)
+ * @param {string} name - Renderer name
+ * @returns {RendererOptions|undefined}
+ */
+function getRendererOptions(name) {
+    return rendererOptions[name];
+}
+
+/**
+ * A custom layer's config with the renderer's defaults filled in
+ * @param {import('./section-schema.js').CustomLayer} layer
+ * @returns {Object}
+ */
+function resolveRendererConfig(layer) {
+    return { ...rendererOptions[layer.renderer]?.defaults, ...layer.config };
+}
+
+/**
+ * Get the reveal items a section's custom layers will render, in reveal order
+ * Computed from the schema, so hold time is known before anything is built.
+ * @param {import('./section-schema.js').Section} section
+ * @returns {Array<{hold?: number, fade?: number, tilt: number, layer: number}>} layer is the index of the rendering layer
+ */
+function getRevealItems(section) {
+    return (section.layers || []).flatMap((layer, layerIndex) => {
+        const reveal = layer.type === 'custom' && rendererOptions[layer.renderer]?.reveal;
+        if (!reveal) return [];
+
+        const count = reveal.count(resolveRendererConfig(layer));
+        return Array.from({ length: count }, () => ({
+            hold: reveal.hold,
+            fade: reveal.fade,
+            tilt: reveal.tilt || 0,
+            layer: layerIndex
+        }));
+    });
 }
 
 /**
@@ -462,4 +729,14 @@ function renderLayer(layer, container) {
     return renderer(layer, container);
 }
 
-export { renderLayer, registerRenderer, customRenderers };
+export {
+    renderLayer,
+    registerRenderer,
+    getRendererOptions,
+    resolveRendererConfig,
+    getRevealItems,
+    imageTransform,
+    IMAGE_CONSTRAINTS,
+    RENDERER_VERSION,
+    customRenderers
+};
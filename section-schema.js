@@ -1,9 +1,30 @@
-import { calculateSectionHeight } from './scroll-timing-config.js';
+import { EASINGS, calculateSectionHeight, resolveFadeConfig, resolveTiming, validateTiming } from './scroll-timing-config.js';
+import { validateTrack } from './scroll-tracks.js';
+import { getRevealItems, getRendererOptions, resolveRendererConfig, customRenderers } from './section-renderer.js';
+import { validateJson } from './json-schema-validator.js';
+import { sectionJsonSchema } from './section-json-schema.js';
+import { validateHeroText } from './hero-text.js';
+import { lengthError } from './css-length.js';
+
+/**
+ * @typedef {Object} HeroTextElement
+ * Rich-text element in hero text
+ * @property {'span'|'em'|'strong'|'br'} tag - Element to create
+ * @property {string} [class] - CSS class (span only)
+ * @property {string} [text] - Text content (before any children)
+ * @property {HeroTextNode[]} [children] - Nested rich-text nodes
+ */
+
+/**
+ * @typedef {string|HeroTextElement} HeroTextNode
+ * Plain text or a rich-text element
+ */
 
 /**
  * @typedef {Object} HeroConfig
- * @property {string} text - Hero text content (can include <br> tags)
+ * @property {string|HeroTextNode[]} text - Hero text: HTML limited to <br>, <span class>, <em> and <strong>, or rich-text nodes
  * @property {'center'|'left'|'right'} [style='center'] - Text alignment
+ * @property {string} [top='30%'] - CSS top of the hero container (centered on this line)
  * @property {string} [fontSize] - Optional CSS font-size override
  * @property {string} [color] - Optional CSS color override
  */
@@ -22,11 +43,23 @@ import { calculateSectionHeight } from './scroll-timing-config.js';
  * @property {string} [height] - CSS height value
  */
 
+/**
+ * @typedef {Object} ScrollKeyframe
+ * @property {number} at - Section progress (0 = starts fading in, 0.5 = centered, 1 = faded out)
+ * @property {number} [opacity] - Opacity (0-1), multiplied with the section fade
+ * @property {number} [x] - Horizontal offset in vw
+ * @property {number} [y] - Vertical offset in vh
+ * @property {number} [scale] - Scale factor
+ * @property {number} [rotate] - Rotation in degrees
+ * @property {number} [blur] - Blur radius in px
+ */
+
 /**
  * @typedef {Object} BackgroundLayer
  * @property {'background'} type
  * @property {string} color - CSS color value
  * @property {number} [z=0] - Z-index relative to hero (hero is always 100)
+ * @property {ScrollKeyframe[]} [scrollTrack] - Scroll-linked keyframes (see scroll-tracks.js)
  */
 
 /**
@@ -38,6 +71,8 @@ import { calculateSectionHeight } from './scroll-timing-config.js';
  * @property {string} [animation] - Optional animation name
  * @property {number} [z=1] - Z-index relative to hero (max 50 to stay behind hero)
  * @property {number} [opacity=1] - Image opacity (0-1)
+ * @property {ScrollKeyframe[]} [scrollTrack] - Scroll-linked keyframes (see scroll-tracks.js)
+ * @property {OverlapAllowance} [allowOverlap] - Intentional overlaps the validator shouldn't report
  */
 
 /**
@@ -46,16 +81,49 @@ import { calculateSectionHeight } from './scroll-timing-config.js';
  * @property {string} renderer - Renderer function name from registry
  * @property {Object} [config] - Renderer-specific configuration
  * @property {number} [z=1] - Z-index relative to hero (max 50 to stay behind hero)
+ * @property {ScrollKeyframe[]} [scrollTrack] - Scroll-linked keyframes (see scroll-tracks.js)
+ * @property {OverlapAllowance} [allowOverlap] - Intentional overlaps the validator shouldn't report
+ */
+
+/**
+ * @typedef {boolean|Array<'hero'|number>} OverlapAllowance
+ * true allows any overlap; a list names the hero and/or indexes of other
+ * layers in the same section this layer may overlap
  */
 
 /**
  * @typedef {BackgroundLayer|ImageLayer|CustomLayer} Layer
  */
 
+/**
+ * @typedef {'brisk'|'reading'|'presentation'|TimingOverrides} TimingConfig
+ * A preset name from TIMING_PRESETS, or individual SCROLL_TIMING overrides
+ */
+
+/**
+ * @typedef {Object} TimingOverrides
+ * @property {'brisk'|'reading'|'presentation'} [preset] - Preset to start from
+ * @property {number} [PANEL_READING_HOLD] - vh - time to read main panel text
+ * @property {number} [CARD_READING_HOLD] - vh - time each reveal item holds before the next appears
+ * @property {number} [CARD_FADE_DISTANCE] - vh - distance over which each reveal item fades in
+ * @property {number} [PANEL_FADE_IN] - vh - distance over which panel fades in
+ * @property {number} [PANEL_FADE_OUT] - vh - distance over which panel fades out
+ * @property {number} [GREY_SPACE_BETWEEN] - vh - grey space between panels
+ * @property {number} [LAST_PANEL_EXTRA_HOLD] - vh - extra hold time for last panel
+ */
+
+/**
+ * @typedef {'linear'|'ease-in-out'|'cubic'} FadeEasing
+ */
+
 /**
  * @typedef {Object} ScrollConfig
- * @property {string} [height='250vh'] - Section scroll height
- * @property {number} [fadeZone=0.7] - Fade transition zone (0-1, percentage of viewport)
+ * @property {string} [height] - Section scroll height (derived from content and SCROLL_TIMING when omitted)
+ * @property {number} [fadeZone] - Fade distance past the hold zone, both directions (fraction of viewport height)
+ * @property {number} [fadeIn] - Fade-in distance (overrides fadeZone when approaching)
+ * @property {number} [fadeOut] - Fade-out distance (overrides fadeZone when leaving)
+ * @property {FadeEasing|{in?: FadeEasing, out?: FadeEasing}} [easing='linear'] - Fade curve, or separate in/out curves
+ * @property {TimingConfig} [timing] - Timing for this section, applied on top of the schema timing
  */
 
 /**
@@ -69,57 +137,353 @@ import { calculateSectionHeight } from './scroll-timing-config.js';
 /**
  * @typedef {Object} SectionSchema
  * @property {Section[]} sections - Array of section configurations
+ * @property {TimingConfig} [timing] - Timing for every section (defaults to SCROLL_TIMING)
+ */
+
+/**
+ * Resolve a section's timing: SCROLL_TIMING, then schema timing, then section overrides
+ * @param {Section} section
+ * @param {TimingConfig} [schemaTiming] - The schema-level timing
+ * @returns {typeof import('./scroll-timing-config.js').SCROLL_TIMING}
  */
+function resolveSectionTiming(section, schemaTiming) {
+    return resolveTiming(schemaTiming, section.scroll?.timing);
+}
+
+/**
+ * Compute a section's scroll height from its layers, position and timing
+ * Fade distances are the section's resolved fadeIn/fadeOut (see resolveFadeConfig),
+ * matching what calculateFadeZones applies while scrolling.
+ * @param {Section} section
+ * @param {number} index - Position of the section in the schema
+ * @param {Section[]} sections - All sections in the schema
+ * @param {TimingConfig} [schemaTiming] - The schema-level timing
+ * @returns {string} CSS height in vh
+ */
+function computeSectionHeight(section, index, sections, schemaTiming) {
+    const timing = resolveSectionTiming(section, schemaTiming);
+    const { fadeIn, fadeOut } = resolveFadeConfig(section.scroll, timing);
+    const height = calculateSectionHeight({
+        revealItems: getRevealItems(section),
+        isLastSection: index === sections.length - 1,
+        fadeIn,
+        fadeOut,
+        timing
+    });
+
+    return `${height}vh`;
+}
+
+/**
+ * Human-readable location for legacy (non-strict) messages
+ * @param {string} path - e.g. 'sections[0].layers[1].z'
+ * @returns {string|null} e.g. 'Section 0, layer 1', or null at schema level
+ */
+function describePath(path) {
+    const match = path.match(/^sections\[(\d+)\](?:\.layers\[(\d+)\])?/);
+    if (!match) return null;
+    return match[2] !== undefined ? `Section ${match[1]}, layer ${match[2]}` : `Section ${match[1]}`;
+}
 
 /**
  * Validates a section schema
+ *
+ * Strict mode additionally checks the schema against the generated JSON
+ * Schema (unknown properties, types, enums, ranges), duplicate section ids,
+ * CSS units in positions/sizes and custom renderer names, and reports every
+ * problem as a structured {path, code, message} issue.
+ *
+ * With `assets` (an asset manifest, see scripts/asset-manifest.mjs), image
+ * layers whose src isn't in the manifest are errors and images over its
+ * byte budget are warnings.
+ *
  * @param {SectionSchema} schema - The schema to validate
- * @returns {{valid: boolean, errors: string[]}}
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Full validation with structured issues
+ * @param {{maxBytes: number, images: Object<string, {bytes: number}>}} [options.assets] - Check image srcs against this manifest
+ * @returns {{valid: boolean, errors: Array<string|import('./json-schema-validator.js').ValidationIssue>, warnings: Array<string|import('./json-schema-validator.js').ValidationIssue>}}
+ *   Strings by default; ValidationIssue objects in strict mode
  */
-function validateSchema(schema) {
+function validateSchema(schema, { strict = false, assets } = {}) {
     const errors = [];
+    const warnings = [];
+    const error = (path, code, message) => errors.push({ path, code, message });
+    const warn = (path, code, message) => warnings.push({ path, code, message });
+
+    function result() {
+        const format = issue => {
+            const where = describePath(issue.path);
+            return where ? `${where}: ${issue.message}` : issue.message;
+        };
+
+        return {
+            valid: errors.length === 0,
+            errors: strict ? errors : errors.map(format),
+            warnings: strict ? warnings : warnings.map(format)
+        };
+    }
 
     if (!schema.sections || !Array.isArray(schema.sections)) {
-        errors.push('Schema must have a "sections" array');
-        return { valid: false, errors };
+        error('sections', 'required', 'Schema must have a "sections" array');
+        return result();
+    }
+
+    if (schema.timing !== undefined) {
+        validateTiming(schema.timing).forEach(message => error('timing', 'timing', `Schema timing: ${message}`));
     }
 
     schema.sections.forEach((section, idx) => {
-        const prefix = `Section ${idx}`;
+        const path = `sections[${idx}]`;
+
+        // e.g. a bare "-" item in YAML, or null in JSON
+        if (!isPlainObject(section)) {
+            error(path, 'type', 'section must be an object');
+            return;
+        }
 
         // Validate required fields
-        if (!section.id) errors.push(`${prefix}: missing id`);
-        if (!section.hero) errors.push(`${prefix}: missing hero config`);
-        if (!section.hero?.text) errors.push(`${prefix}: hero missing text`);
+        if (!section.id) error(`${path}.id`, 'required', 'missing id');
+        if (!section.hero) error(`${path}.hero`, 'required', 'missing hero config');
+        if (!section.hero?.text) error(`${path}.hero.text`, 'required', 'hero missing text');
+        if (section.hero?.text) {
+            validateHeroText(section.hero.text).forEach(message => {
+                error(`${path}.hero.text`, 'hero-markup', `hero.text: ${message}`);
+            });
+        }
         if (!section.layers || !Array.isArray(section.layers)) {
-            errors.push(`${prefix}: missing or invalid layers array`);
+            error(`${path}.layers`, 'required', 'missing or invalid layers array');
         }
 
         // Validate layer z-index constraints
-        section.layers?.forEach((layer, layerIdx) => {
+        section.layers?.forEach?.((layer, layerIdx) => {
+            const layerPath = `${path}.layers[${layerIdx}]`;
+
+            if (!isPlainObject(layer)) {
+                error(layerPath, 'type', 'layer must be an object');
+                return;
+            }
+
             if (layer.z > 50) {
-                errors.push(`${prefix}, layer ${layerIdx}: z-index ${layer.z} exceeds max of 50 (hero zone protection)`);
+                error(`${layerPath}.z`, 'z-index', `z-index ${layer.z} exceeds max of 50 (hero zone protection)`);
             }
 
             // Validate layer type
             if (!['background', 'image', 'custom'].includes(layer.type)) {
-                errors.push(`${prefix}, layer ${layerIdx}: invalid layer type "${layer.type}"`);
+                error(`${layerPath}.type`, 'layer-type', `invalid layer type "${layer.type}"`);
             }
 
             // Type-specific validation
             if (layer.type === 'image' && !layer.src) {
-                errors.push(`${prefix}, layer ${layerIdx}: image layer missing src`);
+                error(`${layerPath}.src`, 'required', 'image layer missing src');
             }
             if (layer.type === 'custom' && !layer.renderer) {
-                errors.push(`${prefix}, layer ${layerIdx}: custom layer missing renderer name`);
+                error(`${layerPath}.renderer`, 'required', 'custom layer missing renderer name');
+            }
+
+            if (layer.scrollTrack !== undefined) {
+                validateTrack(layer.scrollTrack).forEach(message => {
+                    error(`${layerPath}.scrollTrack`, 'scroll-track', `scrollTrack ${message}`);
+                });
+            }
+
+            if (assets && layer.type === 'image' && typeof layer.src === 'string') {
+                validateImageAsset(layer.src, `${layerPath}.src`, assets, error, warn);
+            }
+
+            if (layer.allowOverlap !== undefined) {
+                validateOverlapAllowance(layer.allowOverlap, layerIdx, section.layers).forEach(message => {
+                    error(`${layerPath}.allowOverlap`, 'allow-overlap', `allowOverlap ${message}`);
+                });
+            }
+
+            if (layer.type === 'custom') {
+                validateRendererConfig(layer, layerPath, error);
+            }
+
+            if (strict) {
+                validateLayerStrict(layer, layerPath, error);
+            }
+        });
+
+        ['fadeZone', 'fadeIn', 'fadeOut'].forEach(key => {
+            const value = section.scroll?.[key];
+            if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+                error(`${path}.scroll.${key}`, 'fade', `scroll.${key} must be a positive number (fraction of viewport height)`);
+            }
+        });
+
+        const easing = section.scroll?.easing;
+        if (easing !== undefined) {
+            const curves = typeof easing === 'string' ? [easing] : [easing?.in, easing?.out].filter(Boolean);
+            curves.forEach(curve => {
+                if (!EASINGS[curve]) {
+                    error(`${path}.scroll.easing`, 'easing', `scroll.easing "${curve}" is not one of ${Object.keys(EASINGS).join(', ')}`);
+                }
+            });
+        }
+
+        if (section.scroll?.timing !== undefined) {
+            validateTiming(section.scroll.timing).forEach(message => {
+                error(`${path}.scroll.timing`, 'timing', `scroll.timing ${message}`);
+            });
+        }
+
+        // Hand-written heights go stale when layers change or sections move
+        const height = section.scroll?.height;
+        if (height && Array.isArray(section.layers) && section.layers.every(isPlainObject)) {
+            const computed = computeSectionHeight(section, idx, schema.sections, schema.timing);
+            if (height !== computed) {
+                warn(
+                    `${path}.scroll.height`,
+                    'height-mismatch',
+                    `scroll.height ${height} disagrees with computed timing (${computed}). ` +
+                    `Omit scroll.height to derive it automatically.`
+                );
+            }
+        }
+    });
+
+    if (strict) {
+        validateSchemaStrict(schema, errors, error);
+    }
+
+    return result();
+}
+
+/**
+ * Asset manifest key for an image src: repo-relative, without "./", a leading
+ * "/" or a query/fragment
+ * @param {string} src
+ * @returns {string}
+ */
+function imageAssetPath(src) {
+    return src.replace(/[?#].*$/, '').replace(/^\.?\//, '');
+}
+
+/**
+ * Check that an image src exists in the asset manifest and fits the budget
+ * Remote URLs can't be checked and are skipped.
+ * @param {string} src
+ * @param {string} path
+ * @param {{maxBytes: number, images: Object<string, {bytes: number}>}} assets - Asset manifest
+ * @param {(path: string, code: string, message: string) => void} error
+ * @param {(path: string, code: string, message: string) => void} warn
+ */
+function validateImageAsset(src, path, assets, error, warn) {
+    if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(src)) return;
+
+    const asset = assets.images[imageAssetPath(src)];
+    if (!asset) {
+        error(path, 'missing-asset', `image "${src}" does not exist`);
+    } else if (asset.bytes > assets.maxBytes) {
+        const mb = bytes => `${(bytes / 1e6).toFixed(1)} MB`;
+        warn(path, 'oversized-asset', `image "${src}" is ${mb(asset.bytes)} (budget ${mb(assets.maxBytes)})`);
+    }
+}
+
+/**
+ * Check a layer's allowOverlap list
+ * @param {*} allowance
+ * @param {number} layerIdx - Index of the layer declaring it
+ * @param {Layer[]} layers - All layers in the section
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateOverlapAllowance(allowance, layerIdx, layers) {
+    if (typeof allowance === 'boolean') return [];
+    if (!Array.isArray(allowance)) {
+        return ['must be true, false or a list of "hero" and layer indexes'];
+    }
+
+    return allowance.flatMap(target => {
+        if (target === 'hero') return [];
+        if (!Number.isInteger(target) || target < 0 || target >= layers.length) {
+            return [`entry ${JSON.stringify(target)} is not "hero" or a layer index in this section`];
+        }
+        if (target === layerIdx) return [`entry ${target} refers to the layer itself`];
+        return [];
+    });
+}
+
+/**
+ * Check a custom layer's config against its renderer's config schema
+ * Defaults are filled in first, so only properties the renderer needs and
+ * cannot default are required.
+ * @param {CustomLayer} layer
+ * @param {string} layerPath
+ * @param {(path: string, code: string, message: string) => void} error
+ */
+function validateRendererConfig(layer, layerPath, error) {
+    const configSchema = getRendererOptions(layer.renderer)?.config;
+    if (!configSchema) return;
+
+    const config = layer.config === undefined || isPlainObject(layer.config)
+        ? resolveRendererConfig(layer)
+        : layer.config;
+
+    validateJson(config, configSchema, { path: 'config' }).forEach(issue => {
+        error(`${layerPath}.${issue.path}`, issue.code, `${layer.renderer} ${issue.message}`);
+    });
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Strict checks for a single layer: CSS units and renderer names
+ * @param {Layer} layer
+ * @param {string} layerPath
+ * @param {(path: string, code: string, message: string) => void} error
+ */
+function validateLayerStrict(layer, layerPath, error) {
+    [['position', layer.position], ['size', layer.size]].forEach(([key, box]) => {
+        if (!box || typeof box !== 'object') return;
+
+        Object.entries(box).forEach(([side, value]) => {
+            if (key === 'size' && value === 'auto') return;
+            const problem = lengthError(value);
+            if (problem) {
+                error(`${layerPath}.${key}.${side}`, 'css-length', `${key}.${side} "${value}" is not a CSS length: ${problem}`);
             }
         });
     });
 
-    return {
-        valid: errors.length === 0,
-        errors
-    };
+    if (layer.type === 'custom' && layer.renderer && !customRenderers[layer.renderer]) {
+        error(`${layerPath}.renderer`, 'unknown-renderer', `custom renderer "${layer.renderer}" is not registered`);
+    }
+}
+
+/**
+ * Strict checks across the whole schema: JSON Schema shape and duplicate ids
+ * JSON Schema issues at or below a path that already has an error are skipped.
+ * @param {SectionSchema} schema
+ * @param {import('./json-schema-validator.js').ValidationIssue[]} errors - Errors reported so far
+ * @param {(path: string, code: string, message: string) => void} error
+ */
+function validateSchemaStrict(schema, errors, error) {
+    const reported = errors.map(issue => issue.path);
+    const covered = path => reported.some(parent => (
+        path === parent || path.startsWith(`${parent}.`) || path.startsWith(`${parent}[`)
+    ));
+    validateJson(schema, sectionJsonSchema).forEach(issue => {
+        if (!covered(issue.path)) {
+            error(issue.path, issue.code, issue.message);
+        }
+    });
+
+    const seen = new Map();
+    schema.sections.forEach((section, idx) => {
+        if (!section?.id) return;
+        if (seen.has(section.id)) {
+            error(`sections[${idx}].id`, 'duplicate-id', `duplicate section id "${section.id}" (also used by section ${seen.get(section.id)})`);
+        } else {
+            seen.set(section.id, idx);
+        }
+    });
 }
 
 // Example schema
@@ -144,11 +508,7 @@ const exampleSchema = {
                     size: { width: '25vw', height: 'auto' },
                     z: 1
                 }
-            ],
-            scroll: {
-                height: `${calculateSectionHeight({ cardCount: 0, isLastSection: false, fadeZone: 0.7 })}vh`,
-                fadeZone: 0.7
-            }
+            ]
         },
         {
             id: 'section-01',
@@ -169,11 +529,7 @@ const exampleSchema = {
                     size: { width: '25vw', height: 'auto' },
                     z: 1
                 }
-            ],
-            scroll: {
-                height: `${calculateSectionHeight({ cardCount: 0, isLastSection: false, fadeZone: 0.7 })}vh`,
-                fadeZone: 0.7
-            }
+            ]
         },
         {
             id: 'section-02',
@@ -194,11 +550,7 @@ const exampleSchema = {
                     size: { width: '25vw', height: 'auto' },
                     z: 1
                 }
-            ],
-            scroll: {
-                height: `${calculateSectionHeight({ cardCount: 0, isLastSection: false, fadeZone: 0.7 })}vh`,
-                fadeZone: 0.7
-            }
+            ]
         },
         {
             id: 'section-03',
@@ -239,13 +591,9 @@ const exampleSchema = {
                     },
                     z: 2
                 }
-            ],
-            scroll: {
-                height: `${calculateSectionHeight({ cardCount: 0, isLastSection: true, fadeZone: 0.7 })}vh`,
-                fadeZone: 0.7
-            }
+            ]
         }
     ]
 };
 
-export { validateSchema, exampleSchema };
+export { validateSchema, computeSectionHeight, resolveSectionTiming, imageAssetPath, exampleSchema };
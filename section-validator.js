@@ -3,91 +3,311 @@
  * Validates that visual layers don't overlap with the hero text bounding box
  */
 
+import { HERO_LAYOUT, createHeroElement, heroTextLines } from './hero-text.js';
+import { interpolateTrack, trackToStyle } from './scroll-tracks.js';
+import { ROOT_FONT_SIZE, resolveLength } from './css-length.js';
+import { imageTransform, getRendererOptions, resolveRendererConfig, IMAGE_CONSTRAINTS } from './section-renderer.js';
+import { assetManifest } from './asset-manifest.js';
+import { imageAssetPath } from './section-schema.js';
+
 /**
- * Calculate the bounding box for hero text based on configuration
- * @param {import('./section-schema.js').HeroConfig} heroConfig
- * @returns {{top: number, right: number, bottom: number, left: number, width: number, height: number}}
- */
-function calculateHeroBounds(heroConfig) {
-    // Hero is always centered at 50% viewport with max-width 1000px
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-
-    const maxWidth = 1000;
-    const padding = 40;
-
-    // Estimate text height based on font size and line count
-    const fontSize = heroConfig.fontSize || 'clamp(2.5rem, 6vw, 5rem)';
-    const lineCount = (heroConfig.text.match(/<br>/g) || []).length + 1;
-
-    // Parse clamp font size (simplified - takes middle value)
-    let estimatedFontSize = 80; // default estimate in px
-    if (fontSize.includes('clamp')) {
-        const match = fontSize.match(/clamp\([^,]+,\s*([^,]+),/);
-        if (match) {
-            const vwValue = parseFloat(match[1]);
-            estimatedFontSize = (viewportWidth * vwValue) / 100;
+ * Approximate advance widths (in em) for the hero's heavy sans-serif,
+ * used when neither a live layout nor a canvas is available
+ */
+const GLYPH_WIDTHS = [
+    [/\s/, 0.28],
+    [/[A-Z]/, 0.72],
+    [/[0-9]/, 0.62],
+    [/[mwMW]/, 0.9],
+    [/[ijlft.,:;'!|]/, 0.32],
+    [/[a-z]/, 0.58]
+];
+const DEFAULT_GLYPH_WIDTH = 0.62;
+
+/**
+ * @typedef {Object} Viewport
+ * @property {number} width - px
+ * @property {number} height - px
+ */
+
+/**
+ * @typedef {Object} Box
+ * @property {number} top
+ * @property {number} right
+ * @property {number} bottom
+ * @property {number} left
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Box & {lines: number, method: 'dom'|'canvas'|'model', container: Box}} HeroBounds
+ * The box covers the rendered text lines; `container` is the padded
+ * .section-content box around them.
+ */
+
+/**
+ * @returns {Viewport}
+ */
+function currentViewport() {
+    return { width: window.innerWidth, height: window.innerHeight };
+}
+
+/**
+ * @param {number} left
+ * @param {number} top
+ * @param {number} width
+ * @param {number} height
+ * @returns {Box}
+ */
+function box(left, top, width, height) {
+    return { top, right: left + width, bottom: top + height, left, width, height };
+}
+
+let canvasContext;
+
+/**
+ * 2D canvas context for text metrics, if the environment has one
+ * @returns {CanvasRenderingContext2D|null}
+ */
+function getCanvasContext() {
+    if (canvasContext === undefined) {
+        const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+        canvasContext = canvas?.getContext?.('2d') || null;
+    }
+    return canvasContext;
+}
+
+/**
+ * Text width function for the hero font at a given size
+ * @param {number} fontSize - px
+ * @param {'canvas'|'model'} method
+ * @returns {(text: string) => number}
+ */
+function textMeasurer(fontSize, method) {
+    if (method === 'canvas') {
+        const context = getCanvasContext();
+        context.font = `${HERO_LAYOUT.fontWeight} ${fontSize}px ${HERO_LAYOUT.fontFamily}`;
+        return text => context.measureText(text).width;
+    }
+    return text => [...text].reduce((width, char) => {
+        const entry = GLYPH_WIDTHS.find(([pattern]) => pattern.test(char));
+        return width + (entry ? entry[1] : DEFAULT_GLYPH_WIDTH) * fontSize;
+    }, 0);
+}
+
+/**
+ * Greedily wrap a line of text to a maximum width, like the browser does
+ * at spaces (non-breaking spaces keep words together)
+ * @param {string} line
+ * @param {number} maxWidth
+ * @param {(text: string) => number} measure
+ * @returns {number[]} Width of each wrapped line
+ */
+function wrapLine(line, maxWidth, measure) {
+    const words = line.split(/[ \t\n]+/).filter(Boolean);
+    if (words.length === 0) return [0];
+
+    const widths = [];
+    let current = words[0];
+    for (const word of words.slice(1)) {
+        const candidate = `${current} ${word}`;
+        if (measure(candidate) <= maxWidth) {
+            current = candidate;
+        } else {
+            widths.push(measure(current));
+            current = word;
         }
     }
+    widths.push(measure(current));
+    return widths;
+}
+
+/**
+ * Lay out the hero text arithmetically, mirroring the builder's CSS
+ * @param {import('./section-schema.js').HeroConfig} heroConfig
+ * @param {Viewport} viewport
+ * @param {'canvas'|'model'} method
+ * @returns {HeroBounds}
+ */
+function layoutHeroBounds(heroConfig, viewport, method) {
+    const resolveFontSize = value => resolveLength(value, { viewport, percentOf: ROOT_FONT_SIZE });
+    const customFontSize = heroConfig.fontSize ? resolveFontSize(heroConfig.fontSize) : NaN;
+    const fontSize = Number.isNaN(customFontSize) ? resolveFontSize(HERO_LAYOUT.fontSize) : customFontSize;
+    const lineHeight = fontSize * HERO_LAYOUT.lineHeight;
+    const resolveTop = value => resolveLength(value, { viewport, percentOf: viewport.height });
+    const customTop = heroConfig.top ? resolveTop(heroConfig.top) : NaN;
+    const centerY = Number.isNaN(customTop) ? resolveTop(HERO_LAYOUT.top) : customTop;
 
-    const lineHeight = estimatedFontSize * 1.2;
-    const estimatedHeight = lineCount * lineHeight;
+    const containerWidth = Math.min(HERO_LAYOUT.containerMaxWidth, viewport.width);
+    const textBoxWidth = Math.max(0, Math.min(HERO_LAYOUT.textMaxWidth, containerWidth - HERO_LAYOUT.padding * 2));
+    const textBoxLeft = (viewport.width - textBoxWidth) / 2;
 
-    // Hero container bounds (fixed positioning, centered)
-    const containerWidth = Math.min(maxWidth + (padding * 2), viewportWidth);
-    const containerHeight = estimatedHeight + (padding * 2);
+    const measure = textMeasurer(fontSize, method);
+    const lineWidths = heroTextLines(heroConfig.text)
+        .flatMap(line => wrapLine(line, textBoxWidth, measure));
+
+    const textHeight = lineWidths.length * lineHeight;
+    const containerHeight = textHeight + HERO_LAYOUT.padding * 2;
+    const containerTop = centerY - containerHeight / 2;
+    const textTop = containerTop + HERO_LAYOUT.padding;
+
+    // Union of the line boxes, each placed per text-align
+    const align = heroConfig.style || 'center';
+    const lefts = lineWidths.map(width => {
+        if (align === 'left') return textBoxLeft;
+        if (align === 'right') return textBoxLeft + textBoxWidth - width;
+        return textBoxLeft + (textBoxWidth - width) / 2;
+    });
+    const left = Math.min(...lefts);
+    const right = Math.max(...lefts.map((lineLeft, i) => lineLeft + lineWidths[i]));
 
     return {
-        top: (viewportHeight / 2) - (containerHeight / 2),
-        left: (viewportWidth / 2) - (containerWidth / 2),
-        bottom: (viewportHeight / 2) + (containerHeight / 2),
-        right: (viewportWidth / 2) + (containerWidth / 2),
-        width: containerWidth,
-        height: containerHeight
+        ...box(left, textTop, right - left, textHeight),
+        lines: lineWidths.length,
+        method,
+        container: box((viewport.width - containerWidth) / 2, containerTop, containerWidth, containerHeight)
     };
 }
 
+/**
+ * Measure the hero by laying out the real element off-screen in this document
+ * @param {import('./section-schema.js').HeroConfig} heroConfig
+ * @returns {HeroBounds|null} null when the element doesn't get a layout
+ */
+function measureHeroElement(heroConfig) {
+    const container = createHeroElement(heroConfig);
+    container.style.visibility = 'hidden';
+    container.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(container);
+
+    try {
+        const heading = container.firstElementChild;
+        const range = document.createRange();
+        range.selectNodeContents(heading);
+        const rects = [...range.getClientRects()].filter(rect => rect.width > 0 && rect.height > 0);
+        const containerRect = container.getBoundingClientRect();
+        if (rects.length === 0 || containerRect.width === 0) return null;
+
+        const top = Math.min(...rects.map(rect => rect.top));
+        const left = Math.min(...rects.map(rect => rect.left));
+        const right = Math.max(...rects.map(rect => rect.right));
+        const bottom = Math.max(...rects.map(rect => rect.bottom));
+        const lineHeight = parseFloat(getComputedStyle(heading).lineHeight);
+
+        return {
+            ...box(left, top, right - left, bottom - top),
+            lines: lineHeight > 0 ? Math.round(heading.getBoundingClientRect().height / lineHeight) : rects.length,
+            method: 'dom',
+            container: box(containerRect.left, containerRect.top, containerRect.width, containerRect.height)
+        };
+    } finally {
+        container.remove();
+    }
+}
+
+/**
+ * Calculate the bounding box of the rendered hero text
+ *
+ * Honors hero.top, hero.fontSize, hero.style (alignment) and line wrapping.
+ * With measure 'auto' the real element is laid out when the viewport is the
+ * current window; otherwise (or when that fails) lines are wrapped using
+ * canvas text metrics, or an approximate glyph-width model when there is no
+ * canvas (e.g. under Node).
+ *
+ * @param {import('./section-schema.js').HeroConfig} heroConfig
+ * @param {Viewport} [viewport] - Defaults to the current window
+ * @param {{measure?: 'auto'|'dom'|'canvas'|'model'}} [options]
+ * @returns {HeroBounds}
+ */
+function calculateHeroBounds(heroConfig, viewport = currentViewport(), { measure = 'auto' } = {}) {
+    const isCurrentViewport = typeof window !== 'undefined' &&
+        viewport.width === window.innerWidth && viewport.height === window.innerHeight;
+    const canUseDom = typeof document !== 'undefined' && typeof document.createRange === 'function';
+
+    if (measure === 'dom' || (measure === 'auto' && isCurrentViewport && canUseDom)) {
+        const measured = canUseDom ? measureHeroElement(heroConfig) : null;
+        if (measured) return measured;
+    }
+
+    const useCanvas = measure !== 'model' && getCanvasContext() !== null;
+    return layoutHeroBounds(heroConfig, viewport, useCanvas ? 'canvas' : 'model');
+}
+
 /**
  * Parse CSS position value to pixels
- * @param {string} value - CSS value (e.g., '10%', '50px')
+ * @param {string} value - CSS length (e.g., '10%', '50px', 'calc(50% - 10rem)'; see css-length.js)
  * @param {number} containerSize - Container dimension (viewport width or height)
- * @returns {number} Pixel value
+ * @param {Viewport} [viewport]
+ * @returns {number|null} Pixel value, or null when missing or not a supported length
  */
-function parsePosition(value, containerSize) {
+function parsePosition(value, containerSize, viewport = currentViewport()) {
     if (!value) return null;
 
-    if (value.endsWith('%')) {
-        return (parseFloat(value) / 100) * containerSize;
-    }
-    if (value.endsWith('px')) {
-        return parseFloat(value);
-    }
-    if (value.endsWith('vh')) {
-        return (parseFloat(value) / 100) * window.innerHeight;
+    const pixels = resolveLength(value, { viewport, percentOf: containerSize });
+    return Number.isNaN(pixels) ? null : pixels;
+}
+
+/**
+ * @typedef {Object<string, {width: number, height: number}>} ImageSizes
+ * Intrinsic image sizes keyed by src (see scripts/asset-manifest.mjs)
+ */
+
+/**
+ * Rendered size of an image layer, following CSS sizing for replaced elements:
+ * a missing or 'auto' dimension comes from the intrinsic aspect ratio, and the
+ * renderer's min-width/max-width clamp the width (min-width wins). Images
+ * are looked up by imageAssetPath(src); ones missing from the manifest are
+ * assumed square.
+ * @param {import('./section-schema.js').ImageLayer} layer
+ * @param {Viewport} viewport
+ * @param {ImageSizes} images
+ * @returns {{width: number, height: number}|null} null when a size can't be resolved
+ */
+function calculateImageSize(layer, viewport, images) {
+    const intrinsic = images[imageAssetPath(layer.src)];
+    const ratio = intrinsic ? intrinsic.width / intrinsic.height : 1;
+    const isAuto = value => !value || value === 'auto';
+
+    const specifiedWidth = isAuto(layer.size?.width) ? null : parsePosition(layer.size.width, viewport.width, viewport);
+    const specifiedHeight = isAuto(layer.size?.height) ? null : parsePosition(layer.size.height, viewport.height, viewport);
+    if ((!isAuto(layer.size?.width) && specifiedWidth === null) || (!isAuto(layer.size?.height) && specifiedHeight === null)) {
+        return null;
     }
-    if (value.endsWith('vw')) {
-        return (parseFloat(value) / 100) * window.innerWidth;
+
+    const minWidth = resolveLength(IMAGE_CONSTRAINTS.minWidth, { viewport, percentOf: viewport.width });
+    const maxWidth = resolveLength(IMAGE_CONSTRAINTS.maxWidth, { viewport, percentOf: viewport.width });
+    const clampWidth = width => Math.max(minWidth, Math.min(width, maxWidth));
+
+    if (specifiedHeight !== null) {
+        // Height is fixed; width follows the ratio, then object-fit: contain absorbs any clamp
+        const width = clampWidth(specifiedWidth ?? specifiedHeight * ratio);
+        return { width, height: specifiedHeight };
     }
 
-    return parseFloat(value);
+    const width = clampWidth(specifiedWidth ?? intrinsic?.width ?? 100);
+    return { width, height: width / ratio };
 }
 
 /**
  * Calculate bounds for an image layer
  * @param {import('./section-schema.js').ImageLayer} layer
+ * @param {Viewport} [viewport]
+ * @param {{images?: ImageSizes}} [options] - Intrinsic sizes (defaults to asset-manifest.js)
  * @returns {{top: number, right: number, bottom: number, left: number, width: number, height: number}|null}
  */
-function calculateImageBounds(layer) {
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
+function calculateImageBounds(layer, viewport = currentViewport(), { images = assetManifest.images } = {}) {
+    const viewportWidth = viewport.width;
+    const viewportHeight = viewport.height;
 
-    const top = layer.position.top ? parsePosition(layer.position.top, viewportHeight) : null;
-    const left = layer.position.left ? parsePosition(layer.position.left, viewportWidth) : null;
-    const right = layer.position.right ? parsePosition(layer.position.right, viewportWidth) : null;
-    const bottom = layer.position.bottom ? parsePosition(layer.position.bottom, viewportHeight) : null;
+    const top = layer.position.top ? parsePosition(layer.position.top, viewportHeight, viewport) : null;
+    const left = layer.position.left ? parsePosition(layer.position.left, viewportWidth, viewport) : null;
+    const right = layer.position.right ? parsePosition(layer.position.right, viewportWidth, viewport) : null;
+    const bottom = layer.position.bottom ? parsePosition(layer.position.bottom, viewportHeight, viewport) : null;
 
-    const width = layer.size?.width ? parsePosition(layer.size.width, viewportWidth) : 100;
-    const height = layer.size?.height ? parsePosition(layer.size.height, viewportHeight) : 100;
+    const size = calculateImageSize(layer, viewport, images);
+    if (!size) return null;
+    const { width, height } = size;
 
     // Calculate absolute bounds
     const bounds = {
@@ -136,66 +356,376 @@ function boxesOverlap(box1, box2) {
 }
 
 /**
- * Validate that layers don't overlap with hero zone
+ * Multiply two 2D affine matrices [a, b, c, d, e, f]
+ * @param {number[]} m
+ * @param {number[]} n
+ * @returns {number[]} m × n
+ */
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+/**
+ * Matrix for one CSS transform function
+ * Supports translate/translateX/translateY (px, %, vw, vh), scale/scaleX/scaleY
+ * and rotate (deg); anything else is ignored.
+ * @param {string} name
+ * @param {string[]} args
+ * @param {Box} bounds - Element box, for percentages
+ * @param {Viewport} viewport
+ * @returns {number[]}
+ */
+function transformMatrix(name, args, bounds, viewport) {
+    const length = (value, base) => {
+        const pixels = resolveLength(value, { viewport, percentOf: base });
+        return Number.isNaN(pixels) ? 0 : pixels;
+    };
+
+    switch (name) {
+        case 'translate': return [1, 0, 0, 1, length(args[0], bounds.width), length(args[1] || '0', bounds.height)];
+        case 'translateX': return [1, 0, 0, 1, length(args[0], bounds.width), 0];
+        case 'translateY': return [1, 0, 0, 1, 0, length(args[0], bounds.height)];
+        case 'scale': {
+            const x = parseFloat(args[0]);
+            const y = args[1] !== undefined ? parseFloat(args[1]) : x;
+            return [x, 0, 0, y, 0, 0];
+        }
+        case 'scaleX': return [parseFloat(args[0]), 0, 0, 1, 0, 0];
+        case 'scaleY': return [1, 0, 0, parseFloat(args[0]), 0, 0];
+        case 'rotate': {
+            const radians = (parseFloat(args[0]) * Math.PI) / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            return [cos, sin, -sin, cos, 0, 0];
+        }
+        default: return [1, 0, 0, 1, 0, 0];
+    }
+}
+
+/**
+ * Bounding box of an element box after a CSS transform
+ * (transform-origin is the box center, as in CSS)
+ * @param {Box} bounds
+ * @param {string} transform - e.g. 'translateX(-50%) scale(1.2)'
+ * @param {Viewport} viewport
+ * @returns {Box}
+ */
+function applyTransform(bounds, transform, viewport) {
+    if (!transform) return bounds;
+
+    let matrix = [1, 0, 0, 1, 0, 0];
+    for (const [, name, args] of transform.matchAll(/([a-zA-Z]+)\(([^)]*)\)/g)) {
+        matrix = multiply(matrix, transformMatrix(name, args.split(',').map(arg => arg.trim()), bounds, viewport));
+    }
+
+    const originX = bounds.left + bounds.width / 2;
+    const originY = bounds.top + bounds.height / 2;
+    const corners = [[bounds.left, bounds.top], [bounds.right, bounds.top], [bounds.left, bounds.bottom], [bounds.right, bounds.bottom]]
+        .map(([x, y]) => [
+            originX + matrix[0] * (x - originX) + matrix[2] * (y - originY) + matrix[4],
+            originY + matrix[1] * (x - originX) + matrix[3] * (y - originY) + matrix[5]
+        ]);
+
+    const left = Math.min(...corners.map(([x]) => x));
+    const top = Math.min(...corners.map(([, y]) => y));
+    return box(left, top, Math.max(...corners.map(([x]) => x)) - left, Math.max(...corners.map(([, y]) => y)) - top);
+}
+
+/**
+ * On-screen boxes of a layer, including the renderer's transform and the
+ * layer's scroll track at the given progress
+ * Images give one box; custom layers give whatever their renderer's
+ * `bounds` option returns. Backgrounds and custom renderers without
+ * `bounds` return null (not checked).
+ * @param {import('./section-schema.js').Layer} layer
+ * @param {Viewport} [viewport]
+ * @param {number} [progress=0.5] - Section progress (0.5 = centered)
+ * @param {{images?: ImageSizes}} [options] - Intrinsic image sizes (defaults to asset-manifest.js)
+ * @returns {Box[]|null}
+ */
+function calculateLayerBounds(layer, viewport = currentViewport(), progress = 0.5, options = {}) {
+    let boxes;
+    let baseTransform = '';
+
+    if (layer.type === 'image' && layer.position) {
+        const bounds = calculateImageBounds(layer, viewport, options);
+        if (!bounds) return null;
+        boxes = [bounds];
+        baseTransform = imageTransform(layer);
+    } else if (layer.type === 'custom') {
+        const measure = getRendererOptions(layer.renderer)?.bounds;
+        if (!measure) return null;
+        // Renderer boxes already include the renderer's own transforms
+        boxes = [].concat(measure(resolveRendererConfig(layer), viewport))
+            .map(({ left, top, width, height }) => box(left, top, width, height));
+    } else {
+        return null;
+    }
+
+    const transform = layer.scrollTrack
+        ? trackToStyle(interpolateTrack(layer.scrollTrack, progress), baseTransform).transform
+        : baseTransform;
+    return boxes.map(bounds => applyTransform(bounds, transform, viewport));
+}
+
+/**
+ * A layer's allowOverlap, falling back to its renderer's default
+ * @param {import('./section-schema.js').Layer} layer
+ * @returns {import('./section-schema.js').OverlapAllowance|undefined}
+ */
+function overlapAllowance(layer) {
+    if (layer.allowOverlap !== undefined) return layer.allowOverlap;
+    return layer.type === 'custom' ? getRendererOptions(layer.renderer)?.allowOverlap : undefined;
+}
+
+/**
+ * Whether either side's allowOverlap covers the pair
+ * @param {import('./section-schema.js').Layer} layer
+ * @param {number} layerIdx
+ * @param {'hero'|number} other - 'hero' or the other layer's index
+ * @param {import('./section-schema.js').Layer[]} layers
+ * @returns {boolean}
+ */
+function overlapAllowed(layer, layerIdx, other, layers) {
+    const allows = (allowance, target) =>
+        allowance === true || (Array.isArray(allowance) && allowance.includes(target));
+
+    if (allows(overlapAllowance(layer), other)) return true;
+    return other !== 'hero' && allows(overlapAllowance(layers[other]), layerIdx);
+}
+
+/**
+ * Short description of a layer for warnings
+ * @param {import('./section-schema.js').Layer} layer
+ * @param {number} idx
+ * @returns {string}
+ */
+function describeLayer(layer, idx) {
+    const detail = layer.type === 'image' ? layer.src : layer.renderer || layer.color;
+    return `Layer ${idx} (${layer.type}: ${detail})`;
+}
+
+/**
+ * @param {Box} bounds
+ * @returns {string}
+ */
+function formatBounds(bounds) {
+    return `{top: ${Math.round(bounds.top)}, left: ${Math.round(bounds.left)}, ` +
+        `bottom: ${Math.round(bounds.bottom)}, right: ${Math.round(bounds.right)}}`;
+}
+
+/**
+ * Section progress values at which to compare layers: centered, plus every
+ * keyframe of the layers' scroll tracks
+ * @param {import('./section-schema.js').Layer[]} layers
+ * @returns {number[]}
+ */
+function progressSamples(layers) {
+    const samples = new Set([0.5]);
+    layers.forEach(layer => layer.scrollTrack?.forEach?.(frame => samples.add(frame.at)));
+    return [...samples].sort((a, b) => a - b);
+}
+
+/**
+ * @typedef {Object} Collision
+ * @property {number} layer - Index of the colliding layer
+ * @property {'hero'|number} other - The hero, or the index of the other layer
+ * @property {Box} layerBounds
+ * @property {Box} otherBounds
+ * @property {number} progress - Section progress at which they overlap
+ * @property {string} message
+ */
+
+/**
+ * Find overlaps between a section's layers and the hero, and between pairs
+ * of layers, skipping pairs covered by allowOverlap
  * @param {import('./section-schema.js').Section} section
- * @returns {{valid: boolean, warnings: string[]}}
+ * @param {Viewport} viewport
+ * @param {{layers?: boolean, images?: ImageSizes}} [options] - layers: false checks the hero only
+ * @returns {Collision[]}
  */
-function validateHeroOverlap(section) {
-    const warnings = [];
-    const heroBounds = calculateHeroBounds(section.hero);
+function findCollisions(section, viewport, { layers: checkLayers = true, images } = {}) {
+    const collisions = [];
+    const heroBounds = calculateHeroBounds(section.hero, viewport);
+    const samples = progressSamples(section.layers);
+    const boundsAt = samples.map(progress =>
+        section.layers.map(layer => calculateLayerBounds(layer, viewport, progress, { images })));
 
-    section.layers.forEach((layer, idx) => {
-        // Only check image layers with explicit positioning
-        if (layer.type === 'image' && layer.position) {
-            const imageBounds = calculateImageBounds(layer);
-
-            if (imageBounds && boxesOverlap(heroBounds, imageBounds)) {
-                warnings.push(
-                    `Layer ${idx} (image: ${layer.src}) may overlap hero text. ` +
-                    `Hero bounds: {top: ${Math.round(heroBounds.top)}, left: ${Math.round(heroBounds.left)}, ` +
-                    `bottom: ${Math.round(heroBounds.bottom)}, right: ${Math.round(heroBounds.right)}}. ` +
-                    `Image bounds: {top: ${Math.round(imageBounds.top)}, left: ${Math.round(imageBounds.left)}, ` +
-                    `bottom: ${Math.round(imageBounds.bottom)}, right: ${Math.round(imageBounds.right)}}`
-                );
+    const firstOverlap = (idx, other) => {
+        for (let s = 0; s < samples.length; s++) {
+            const layerBoxes = boundsAt[s][idx] || [];
+            const otherBoxes = other === 'hero' ? [heroBounds] : boundsAt[s][other] || [];
+            for (const layerBounds of layerBoxes) {
+                const otherBounds = otherBoxes.find(candidate => boxesOverlap(layerBounds, candidate));
+                if (otherBounds) return { layerBounds, otherBounds, progress: samples[s] };
             }
         }
+        return null;
+    };
+
+    section.layers.forEach((layer, idx) => {
+        const targets = ['hero'];
+        if (checkLayers) {
+            for (let other = idx + 1; other < section.layers.length; other++) targets.push(other);
+        }
+
+        targets.forEach(other => {
+            if (overlapAllowed(layer, idx, other, section.layers)) return;
+            const overlap = firstOverlap(idx, other);
+            if (!overlap) return;
+
+            const message = other === 'hero'
+                ? `${describeLayer(layer, idx)} may overlap hero text. ` +
+                  `Hero bounds: ${formatBounds(overlap.otherBounds)}. ` +
+                  `Layer bounds: ${formatBounds(overlap.layerBounds)}`
+                : `${describeLayer(layer, idx)} may overlap ${describeLayer(section.layers[other], other).replace(/^L/, 'l')}. ` +
+                  `Bounds: ${formatBounds(overlap.layerBounds)} and ${formatBounds(overlap.otherBounds)}`;
+            collisions.push({ layer: idx, other, ...overlap, message });
+        });
+    });
 
-        // Custom renderers can't be validated automatically - issue warning
-        if (layer.type === 'custom') {
+    return collisions;
+}
+
+/**
+ * Validate that layers don't overlap with hero zone
+ * @param {import('./section-schema.js').Section} section
+ * @param {Viewport} [viewport] - Defaults to the current window
+ * @returns {{valid: boolean, warnings: string[], collisions: Collision[]}}
+ */
+function validateHeroOverlap(section, viewport = currentViewport()) {
+    return validateSectionOverlap(section, viewport, { layers: false });
+}
+
+/**
+ * Validate that layers overlap neither the hero nor each other
+ * @param {import('./section-schema.js').Section} section
+ * @param {Viewport} [viewport] - Defaults to the current window
+ * @param {{layers?: boolean, images?: ImageSizes}} [options] - layers: false skips layer-to-layer checks
+ * @returns {{valid: boolean, warnings: string[], collisions: Collision[]}}
+ */
+function validateSectionOverlap(section, viewport = currentViewport(), options = {}) {
+    const collisions = findCollisions(section, viewport, options);
+    const warnings = collisions.map(collision => collision.message);
+
+    // Custom renderers without a bounds option can't be validated automatically
+    section.layers.forEach((layer, idx) => {
+        if (layer.type === 'custom' && !getRendererOptions(layer.renderer)?.bounds) {
             warnings.push(
                 `Layer ${idx} (custom: ${layer.renderer}) cannot be validated automatically. ` +
-                `Ensure custom renderer respects hero zone bounds.`
+                `Give the renderer a bounds(config, viewport) option or ensure it respects hero zone bounds.`
             );
         }
     });
 
     return {
         valid: warnings.length === 0,
-        warnings
+        warnings,
+        collisions
     };
 }
 
 /**
- * Validate all sections for hero overlap
+ * Common target viewports for the overlap matrix (CSS px)
+ * @type {Object<string, Viewport>}
+ */
+const VIEWPORT_PRESETS = {
+    'phone-portrait': { width: 375, height: 667 },
+    'tablet': { width: 768, height: 1024 },
+    'laptop': { width: 1440, height: 900 },
+    'ultrawide': { width: 3440, height: 1440 }
+};
+
+/**
+ * @typedef {Object} ViewportReport
+ * @property {string} name
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} valid - No collisions at this viewport
+ * @property {Array<Collision & {section: number, sectionId: string}>} collisions
+ */
+
+/**
+ * @param {string|(Viewport & {name?: string})} viewport - Preset name or dimensions
+ * @returns {Viewport & {name: string}}
+ */
+function resolveViewport(viewport) {
+    if (typeof viewport === 'string') {
+        const preset = VIEWPORT_PRESETS[viewport];
+        if (!preset) {
+            throw new Error(`Unknown viewport preset "${viewport}" (expected one of ${Object.keys(VIEWPORT_PRESETS).join(', ')})`);
+        }
+        return { name: viewport, ...preset };
+    }
+    return { name: viewport.name || `${viewport.width}x${viewport.height}`, width: viewport.width, height: viewport.height };
+}
+
+/**
+ * Validate all sections for overlaps with the hero and between layers
+ *
+ * By default checks the current window. Pass `viewports` (preset names from
+ * VIEWPORT_PRESETS and/or {name?, width, height}) to check each of them;
+ * collision warnings are then prefixed with the viewport, and `viewports`
+ * in the result holds a report per viewport.
+ *
  * @param {import('./section-schema.js').SectionSchema} schema
- * @returns {{valid: boolean, warnings: string[]}}
+ * @param {{viewports?: Array<string|(Viewport & {name?: string})>, images?: ImageSizes}} [options]
+ * @returns {{valid: boolean, warnings: string[], viewports: ViewportReport[]}}
  */
-function validateAllSections(schema) {
+function validateAllSections(schema, { viewports, images } = {}) {
+    const targets = viewports
+        ? viewports.map(resolveViewport)
+        : [{ name: 'current', ...currentViewport() }];
     const allWarnings = [];
+    const reports = [];
 
-    schema.sections.forEach((section, idx) => {
-        const result = validateHeroOverlap(section);
-        if (!result.valid) {
+    targets.forEach((viewport, viewportIdx) => {
+        const label = viewports ? `[${viewport.name} ${viewport.width}x${viewport.height}] ` : '';
+        const collisions = [];
+
+        schema.sections.forEach((section, idx) => {
+            const result = validateSectionOverlap(section, viewport, { images });
+            const collisionMessages = new Set(result.collisions.map(collision => collision.message));
+
+            result.collisions.forEach(collision => {
+                collisions.push({ section: idx, sectionId: section.id, ...collision });
+            });
             result.warnings.forEach(warning => {
-                allWarnings.push(`Section ${idx} (${section.id}): ${warning}`);
+                const isCollision = collisionMessages.has(warning);
+                // Viewport-independent warnings are reported once, not per viewport
+                if (!isCollision && viewportIdx > 0) return;
+                allWarnings.push(`${isCollision ? label : ''}Section ${idx} (${section.id}): ${warning}`);
             });
-        }
+        });
+
+        reports.push({
+            name: viewport.name,
+            width: viewport.width,
+            height: viewport.height,
+            valid: collisions.length === 0,
+            collisions
+        });
     });
 
     return {
         valid: allWarnings.length === 0,
-        warnings: allWarnings
+        warnings: allWarnings,
+        viewports: reports
     };
 }
 
-export { validateHeroOverlap, validateAllSections, calculateHeroBounds };
+export {
+    validateHeroOverlap,
+    validateSectionOverlap,
+    validateAllSections,
+    calculateHeroBounds,
+    calculateLayerBounds,
+    VIEWPORT_PRESETS
+};
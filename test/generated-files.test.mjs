@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateJson } from '../json-schema-validator.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Run a generator script in --check mode
+ * @param {string} script - Path relative to the repo root
+ * @returns {import('node:child_process').SpawnSyncReturns<string>}
+ */
+function check(script) {
+    return spawnSync(process.execPath, [script, '--check'], { cwd: ROOT, encoding: 'utf8', timeout: 60000 });
+}
+
+['scripts/generate-json-schema.mjs', 'scripts/prerender.mjs', 'scripts/asset-manifest.mjs'].forEach(script => {
+    test(`${script} output is up to date`, () => {
+        const { status, stdout, stderr } = check(script);
+        assert.equal(status, 0, `${stdout}${stderr}`);
+    });
+});
+
+test('sections.json matches the generated document schema', () => {
+    const documentSchema = JSON.parse(readFileSync(join(ROOT, 'section-document-schema.json'), 'utf8'));
+    const document = JSON.parse(readFileSync(join(ROOT, 'sections.json'), 'utf8'));
+
+    assert.deepEqual(validateJson(document, documentSchema), []);
+    assert.deepEqual(validateJson({ ...document, fragment: {} }, documentSchema).map(issue => issue.code), ['unknown-property']);
+    assert.deepEqual(validateJson({ sections: [], timing: { PANEL_FADE_IN: '$timing.PANEL_FADE_OUT * 2' } }, documentSchema), []);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomShim } from '../dom-shim.js';
+import { heroTextToHtml, validateHeroText, renderHeroText, heroTextLines } from '../hero-text.js';
+
+test('script elements are removed with their content', () => {
+    assert.equal(heroTextToHtml('Hi<script>alert(1)</script> there'), 'Hi there');
+    assert.equal(heroTextToHtml('A<SCRIPT type="module">alert(1)</SCRIPT >B'), 'AB');
+    assert.equal(heroTextToHtml('Hi<script>alert(1)'), 'Hi');
+    assert.deepEqual(validateHeroText('Hi<script>alert(1)</script>'), ['<script> is not allowed in hero text (removed with its content)']);
+});
+
+test('event handler and other attributes are stripped', () => {
+    assert.equal(heroTextToHtml('<img src=x onerror="alert(1)">Text'), 'Text');
+    assert.equal(
+        heroTextToHtml('<span class="accent" onclick="steal()" onmouseover=x>hi</span>'),
+        '<span class="accent">hi</span>'
+    );
+    assert.equal(heroTextToHtml('<em style="background:url(javascript:alert(1))">s</em>'), '<em>s</em>');
+    assert.deepEqual(validateHeroText('<span onclick="steal()">hi</span>'), ['attribute "onclick" is not allowed on <span> in hero text']);
+});
+
+test('links are unwrapped, so javascript: hrefs never reach the page', () => {
+    assert.equal(heroTextToHtml('<a href="javascript:alert(1)">click</a>'), 'click');
+    assert.equal(heroTextToHtml('<a href="JaVaScRiPt:alert(1)">click</a>'), 'click');
+    assert.deepEqual(validateHeroText('<a href="javascript:alert(1)">click</a>'), [
+        '<a> is not allowed in hero text (allowed: <br>, <span>, <em>, <strong>)'
+    ]);
+});
+
+test('svg, math and nested-tag tricks do not produce markup', () => {
+    assert.equal(heroTextToHtml('<svg><script>alert(1)</script><text>t</text></svg>ok'), 'ok');
+    assert.equal(heroTextToHtml('<svg onload=alert(1)>'), '');
+    assert.equal(heroTextToHtml('<math><mi xlink:href="javascript:alert(1)">m</mi></math>z'), 'z');
+    assert.equal(heroTextToHtml('<scr<script>ipt>alert(1)</script>'), '&lt;scr');
+    assert.equal(heroTextToHtml('<!--<script>-->x'), 'x');
+    assert.equal(heroTextToHtml('&lt;script&gt;alert(1)&lt;/script&gt;'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+    assert.equal(heroTextToHtml('<span class="a&quot; onclick=&quot;x">y</span>'), '<span>y</span>');
+    assert.equal(heroTextToHtml('<em><strong>deep</em></strong>'), '<em><strong>deep</strong></em>');
+});
+
+test('rich-text nodes are checked against the same allow-list', () => {
+    const nodes = [
+        'a',
+        { tag: 'script', text: 'alert(1)' },
+        { tag: 'span', class: 'x" onload="y', text: 's' },
+        { tag: 'em', text: '<img src=x onerror=alert(1)>' },
+        { tag: 'strong', children: [{ tag: 'a', href: 'javascript:alert(1)' }, 'k'] },
+        null
+    ];
+
+    assert.equal(heroTextToHtml(nodes), 'a<span>s</span><em>&lt;img src=x onerror=alert(1)&gt;</em><strong>k</strong>');
+    assert.deepEqual(validateHeroText(nodes), [
+        'text[1].tag "script" must be one of br, span, em, strong',
+        'text[2].class may only contain letters, digits, "-" and "_"',
+        'text[4].children[0].tag "a" must be one of br, span, em, strong',
+        'text[5] must be a string or a { tag } element'
+    ]);
+    assert.deepEqual(heroTextLines(['Ship ', { tag: 'em', text: 'faster' }, { tag: 'br' }, 'with less']), ['Ship faster', 'with less']);
+});
+
+test('renderHeroText builds text nodes and allowed elements only', () => {
+    const { document, restore } = installDomShim({ innerWidth: 1440, innerHeight: 900 });
+    try {
+        const heading = document.createElement('h1');
+        renderHeroText('Plans &amp; <span class="accent" onclick="x">lists</span><img src=x onerror=alert(1)><br>done', heading);
+
+        assert.equal(heading.outerHTML, '<h1>Plans &amp; <span class="accent">lists</span><br>done</h1>');
+        assert.equal(heading.textContent, 'Plans & listsdone');
+    } finally {
+        restore();
+    }
+});
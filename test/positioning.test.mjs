@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getPosition,
+    positions,
+    columnLayout,
+    circularPositions,
+    scatteredPositions,
+    resolvePosition,
+    toCSSString
+} from '../positioning-helpers.js';
+import { resolveLength, lengthError } from '../css-length.js';
+
+const viewport = { width: 1440, height: 900 };
+
+test('getPosition returns a copy and falls back to top-left', (t) => {
+    const position = getPosition('bottom-right');
+    position.bottom = '0';
+    assert.equal(positions['bottom-right'].bottom, '5vh');
+
+    t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(getPosition('nowhere'), positions['top-left']);
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('presets resolve to pixels, including right/bottom and translate', () => {
+    const size = { width: 200, height: 100 };
+
+    assert.deepEqual(resolvePosition(positions['top-left'], viewport, size), { top: 45, left: 72 });
+    assert.deepEqual(resolvePosition(positions['bottom-right'], viewport, size), { top: 755, left: 1168 });
+    assert.deepEqual(resolvePosition(positions['top-center'], viewport, size), { top: 45, left: 620 });
+    assert.deepEqual(resolvePosition(positions['right-center'], viewport, size), { top: 400, left: 1168 });
+    assert.equal(resolvePosition({ top: 'nonsense', left: '0' }, viewport), null);
+});
+
+test('circular positions resolve onto the circle', () => {
+    const [first, second] = circularPositions(4, { radius: '100px' });
+
+    assert.deepEqual(resolvePosition(first, viewport), { top: 450, left: 820 });
+    const { top, left } = resolvePosition(second, viewport);
+    assert.ok(Math.abs(top - 550) < 1e-6 && Math.abs(left - 720) < 1e-6);
+});
+
+test('scattered positions stay out of the centre', () => {
+    scatteredPositions(200, { centerExclusionRadius: 0.4 }).forEach(({ left, top }) => {
+        const x = parseFloat(left) / 100 - 0.5;
+        const y = parseFloat(top) / 100 - 0.5;
+        assert.ok(Math.abs(x) >= 0.2 || Math.abs(y) >= 0.2, `${left}, ${top} is in the centre`);
+    });
+});
+
+test('layouts serialize to CSS', () => {
+    assert.equal(toCSSString({ maxWidth: '15vw', zIndex: 3 }), 'max-width: 15vw; z-index: 3;');
+    assert.equal(columnLayout('right').right, '3vw');
+    assert.equal(columnLayout('left', { padding: '1rem' }).left, '1rem');
+});
+
+test('CSS lengths resolve against the viewport and font size', () => {
+    const context = { viewport, percentOf: 1440 };
+
+    assert.equal(resolveLength('calc(50% - 10rem)', context), 560);
+    assert.equal(resolveLength('clamp(2rem, 5vw, 3.5rem)', context), 56);
+    assert.equal(resolveLength('min(10vh, 100px)', context), 90);
+    assert.equal(resolveLength('2em', { ...context, fontSize: 20 }), 40);
+    assert.equal(resolveLength('0', context), 0);
+    assert.equal(resolveLength(12, context), 12);
+    assert.ok(Number.isNaN(resolveLength('10', context)));
+});
+
+test('invalid CSS lengths explain themselves', () => {
+    assert.equal(lengthError('10px'), null);
+    assert.equal(lengthError('calc(10px * 10px)'), 'cannot multiply two lengths');
+    assert.equal(lengthError('calc(10px / 0)'), 'division by zero');
+    assert.equal(lengthError('max(1, 10px)'), 'max() mixes numbers and lengths');
+    assert.equal(lengthError(10), 'must be a string');
+});
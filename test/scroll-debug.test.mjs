@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomShim } from '../dom-shim.js';
+import { buildSection, destroySection, getSectionRegistry } from '../section-builder.js';
+import { createScrollEngine } from '../scroll-engine.js';
+import { isScrollDebugEnabled, createScrollDebugOverlay } from '../scroll-debug.js';
+import { resolveFadeConfig } from '../scroll-timing-config.js';
+import { exampleSchema } from '../section-schema.js';
+
+const VIEWPORT_HEIGHT = 900;
+
+let dom;
+
+beforeEach(() => {
+    dom = installDomShim({ innerWidth: 1440, innerHeight: VIEWPORT_HEIGHT });
+});
+
+afterEach(() => {
+    getSectionRegistry().forEach((entry, id) => destroySection(id));
+    dom.restore();
+});
+
+/**
+ * Build the example sections and lay them out the way measureSections would
+ * @returns {Array<{entry: Object, top: number, height: number, fade: Object}>}
+ */
+function buildLayout() {
+    const { sections } = exampleSchema;
+    let top = 0;
+
+    return sections.map((section, index) => {
+        buildSection(section, index, sections);
+        const entry = getSectionRegistry().get(section.id);
+        const height = parseFloat(entry.container.style.height) / 100 * VIEWPORT_HEIGHT;
+        const item = { entry, top, height, fade: resolveFadeConfig(section.scroll, entry.timing) };
+        top += height;
+        return item;
+    });
+}
+
+test('the overlay is opt-in with ?debug=scroll', () => {
+    assert.equal(isScrollDebugEnabled(''), false);
+    assert.equal(isScrollDebugEnabled('?debug=scroll'), true);
+    assert.equal(isScrollDebugEnabled('?debug=other&debug=scroll'), true);
+    assert.equal(isScrollDebugEnabled('?debug'), false);
+});
+
+test('draws a timeline per section and a live readout', () => {
+    const layout = buildLayout();
+    const overlay = createScrollDebugOverlay();
+    const centered = layout[3].top + layout[3].height / 2 - VIEWPORT_HEIGHT / 2;
+
+    overlay.onFrame({ scrollY: centered, viewportHeight: VIEWPORT_HEIGHT, layout, isNear: () => true });
+
+    const rail = dom.document.querySelector('.scroll-debug');
+    const labels = rail.firstChild.children.map(el => el.textContent).filter(Boolean);
+    assert.deepEqual(labels.filter(label => label.startsWith('section-')), exampleSchema.sections.map(s => s.id));
+    assert.deepEqual(labels.filter(label => label.startsWith('card ')), ['card 0', 'card 1', 'card 2']);
+    assert.equal(rail.firstChild.style.transform, `translateY(${-centered}px)`);
+
+    const readout = dom.document.querySelector('.scroll-debug-readout').textContent;
+    assert.match(readout, /section-03 {2}opacity 1\.00 {2}progress 0\.50/);
+    assert.match(readout, /cards 0\.00 0\.00 0\.00/);
+
+    overlay.destroy();
+    assert.equal(dom.document.querySelector('.scroll-debug'), null);
+});
+
+test('the timeline is redrawn only when the layout is re-measured', () => {
+    const layout = buildLayout();
+    const overlay = createScrollDebugOverlay();
+    const track = dom.document.querySelector('.scroll-debug').firstChild;
+
+    overlay.onFrame({ scrollY: 0, viewportHeight: VIEWPORT_HEIGHT, layout, isNear: () => true });
+    const first = track.firstChild;
+    overlay.onFrame({ scrollY: 100, viewportHeight: VIEWPORT_HEIGHT, layout, isNear: () => true });
+    assert.equal(track.firstChild, first);
+
+    overlay.onFrame({ scrollY: 100, viewportHeight: VIEWPORT_HEIGHT, layout: [...layout], isNear: () => true });
+    assert.notEqual(track.firstChild, first);
+    overlay.destroy();
+});
+
+test('the scroll engine calls onFrame after each frame', () => {
+    const queued = [];
+    dom.window.requestAnimationFrame = callback => queued.push(callback);
+    const calls = [];
+
+    const engine = createScrollEngine({
+        targets: () => [],
+        measure: () => ['layout'],
+        frame: () => calls.push('frame'),
+        onFrame: frame => calls.push(frame.layout)
+    });
+    queued.shift()();
+
+    assert.deepEqual(calls, ['frame', ['layout']]);
+    engine.destroy();
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateScroll } from '../scroll-simulator.js';
+import { exampleSchema } from '../section-schema.js';
+import { SCROLL_TIMING } from '../scroll-timing-config.js';
+
+/**
+ * Example schema with one section replaced
+ * @param {number} index
+ * @param {Object} changes - Merged into the section
+ * @returns {import('../section-schema.js').SectionSchema}
+ */
+function withSection(index, changes) {
+    return {
+        ...exampleSchema,
+        sections: exampleSchema.sections.map((section, i) => (i === index ? { ...section, ...changes } : section))
+    };
+}
+
+test('sections are stacked from the start offset at their scroll heights', () => {
+    const { sections } = simulateScroll(exampleSchema, { viewportHeight: 1000, start: 500 });
+
+    assert.equal(sections[0].top, 500);
+    sections.slice(1).forEach((section, i) => {
+        assert.equal(section.top, sections[i].top + sections[i].height);
+    });
+    assert.equal(simulateScroll(withSection(0, { scroll: { height: '200vh' } }), { viewportHeight: 1000 }).sections[0].height, 2000);
+});
+
+test('curves are sampled at every offset and peak at full opacity', () => {
+    const { offsets, sections } = simulateScroll(exampleSchema, { start: 2000, step: 25 });
+
+    assert.equal(offsets[1] - offsets[0], 25);
+    sections.forEach(section => {
+        assert.equal(section.opacity.length, offsets.length);
+        assert.equal(Math.max(...section.opacity), 1);
+        section.layers.forEach(layer => assert.equal(layer.opacity.length, offsets.length));
+    });
+    assert.equal(sections[3].cards.length, 3);
+    assert.deepEqual(sections[3].cards.map(card => card.layer), [3, 3, 3]);
+});
+
+test('the default page has even grey gaps and no overlaps', () => {
+    const { report } = simulateScroll(exampleSchema, { start: 2000 });
+
+    assert.deepEqual(report.overlaps, []);
+    assert.deepEqual(report.gaps.map(gap => [gap.after, gap.before]),
+        [['section-00', 'section-01'], ['section-01', 'section-02'], ['section-02', 'section-03']]);
+    // Sampled every 10px, and heights are rounded up to whole vh
+    report.gaps.forEach(gap => {
+        assert.ok(Math.abs(gap.vh - SCROLL_TIMING.GREY_SPACE_BETWEEN) < 0.02,
+            `${gap.after} -> ${gap.before}: ${gap.vh.toFixed(3)}vh of grey, expected ${SCROLL_TIMING.GREY_SPACE_BETWEEN}`);
+    });
+    assert.deepEqual(report.unrevealedCards, []);
+});
+
+test('long fades make neighbouring sections overlap', () => {
+    const { report } = simulateScroll(exampleSchema, { start: 2000, fadeZone: 0.7 });
+
+    assert.deepEqual(report.gaps, []);
+    assert.deepEqual(report.overlaps[0].sections, ['section-00', 'section-01']);
+    assert.ok(report.overlaps[0].length > 0);
+});
+
+test('cards the panel fades out before revealing are reported', () => {
+    const { report } = simulateScroll(withSection(3, { scroll: { height: '150vh' } }), { start: 2000 });
+
+    assert.deepEqual(report.unrevealedCards.map(card => [card.section, card.card]),
+        [['section-03', 0], ['section-03', 1], ['section-03', 2]]);
+    report.unrevealedCards.forEach(card => assert.ok(card.peak < 1));
+});
+
+test('scroll tracks shape layer opacity and scale', () => {
+    const section = exampleSchema.sections[0];
+    const layers = section.layers.map((layer, i) => (i === 1
+        ? { ...layer, scrollTrack: [{ at: 0, opacity: 0, scale: 0.5 }, { at: 1, opacity: 1, scale: 1.5 }] }
+        : layer));
+    const { sections } = simulateScroll(withSection(0, { layers }), { start: 2000 });
+    const [background, tracked] = sections[0].layers;
+
+    const centre = sections[0].opacity.indexOf(1);
+    assert.ok(tracked.opacity[centre] < background.opacity[centre]);
+    assert.ok(tracked.scale.some(scale => scale !== 1));
+    assert.ok(background.scale.every(scale => scale === 1));
+});
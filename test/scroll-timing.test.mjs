@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SCROLL_TIMING,
+    TIMING_PRESETS,
+    resolveTiming,
+    calculateSectionHeight,
+    calculateFadeZones
+} from '../scroll-timing-config.js';
+
+const T = SCROLL_TIMING;
+
+test('section height is fade in/out + grey space + reading hold on both sides, in vh', () => {
+    const expected = Math.ceil((2 * 0.7 + T.GREY_SPACE_BETWEEN + 2 * T.PANEL_READING_HOLD) * 100);
+    assert.equal(calculateSectionHeight({ fadeZone: 0.7 }), expected);
+});
+
+test('each card adds its fade and hold on both sides; so does the last section extra hold', () => {
+    const base = calculateSectionHeight({ fadeZone: 0.7 });
+    const perCard = (T.CARD_FADE_DISTANCE + T.CARD_READING_HOLD) * 100;
+
+    assert.ok(Math.abs(calculateSectionHeight({ cardCount: 3, fadeZone: 0.7 }) - (base + 2 * 3 * perCard)) <= 1);
+    assert.ok(Math.abs(calculateSectionHeight({ isLastSection: true, fadeZone: 0.7 }) - (base + 2 * T.LAST_PANEL_EXTRA_HOLD * 100)) <= 1);
+});
+
+test('per-item reveal timing overrides cardCount', () => {
+    const height = calculateSectionHeight({ cardCount: 5, revealItems: [{ hold: 1, fade: 0.5 }], fadeZone: 0 });
+    assert.equal(height, Math.ceil((T.GREY_SPACE_BETWEEN + 2 * (T.PANEL_READING_HOLD + 1.5)) * 100));
+});
+
+test('section height uses the resolved fade-in and fade-out distances', () => {
+    const height = calculateSectionHeight({ fadeIn: 0.5, fadeOut: 0.1 });
+    assert.equal(height, Math.ceil((0.5 + 0.1 + T.GREY_SPACE_BETWEEN + 2 * T.PANEL_READING_HOLD) * 100));
+    assert.equal(calculateSectionHeight({}), Math.ceil((T.PANEL_FADE_IN + T.PANEL_FADE_OUT + T.GREY_SPACE_BETWEEN + 2 * T.PANEL_READING_HOLD) * 100));
+});
+
+test('presets change the height', () => {
+    const brisk = calculateSectionHeight({ fadeZone: 0.7, timing: resolveTiming(TIMING_PRESETS.brisk) });
+    const presentation = calculateSectionHeight({ fadeZone: 0.7, timing: resolveTiming(TIMING_PRESETS.presentation) });
+    assert.ok(brisk < calculateSectionHeight({ fadeZone: 0.7 }));
+    assert.ok(presentation > calculateSectionHeight({ fadeZone: 0.7 }));
+});
+
+test('fade zones are measured from the end of the hold zone in px', () => {
+    const zones = calculateFadeZones(1000, 0);
+
+    assert.equal(zones.holdZone, 1000 * T.PANEL_READING_HOLD);
+    assert.equal(zones.fadeOutZone, 1000 * (T.PANEL_READING_HOLD + T.PANEL_FADE_OUT));
+    assert.equal(zones.fadeInZone, 1000 * (T.PANEL_READING_HOLD + T.PANEL_FADE_IN));
+    assert.equal(zones.fadeZone, zones.fadeOutZone);
+});
+
+test('cards lengthen the hold zone but not the fade distance', () => {
+    const plain = calculateFadeZones(1000, 0);
+    const withCards = calculateFadeZones(1000, 4);
+
+    assert.ok(withCards.holdZone > plain.holdZone);
+    assert.ok(Math.abs((withCards.fadeOutZone - withCards.holdZone) - (plain.fadeOutZone - plain.holdZone)) < 1e-6);
+});
+
+test('the last section extra hold lengthens the hold zone', () => {
+    const plain = calculateFadeZones(1000, 2);
+    const last = calculateFadeZones(1000, 2, T, {}, T.LAST_PANEL_EXTRA_HOLD);
+
+    assert.ok(Math.abs(last.holdZone - plain.holdZone - 1000 * T.LAST_PANEL_EXTRA_HOLD) < 1e-6);
+    assert.ok(Math.abs(last.fadeOutZone - plain.fadeOutZone - 1000 * T.LAST_PANEL_EXTRA_HOLD) < 1e-6);
+});
+
+test('per-section fade distances override the defaults', () => {
+    const zones = calculateFadeZones(1000, 0, T, { fadeIn: 0.1, fadeOut: 0.5 });
+    assert.ok(Math.abs(zones.fadeInZone - zones.holdZone - 100) < 1e-6);
+    assert.ok(Math.abs(zones.fadeOutZone - zones.holdZone - 500) < 1e-6);
+});
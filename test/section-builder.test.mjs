@@ -0,0 +1,259 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomShim } from '../dom-shim.js';
+import { buildSection, buildAllSections, prerenderSections, destroySection, getSectionRegistry, setupScrollBehavior } from '../section-builder.js';
+import { registerRenderer, getRendererOptions, customRenderers } from '../section-renderer.js';
+import { computeSectionHeight, exampleSchema } from '../section-schema.js';
+
+let dom;
+
+beforeEach(() => {
+    dom = installDomShim({ innerWidth: 1440, innerHeight: 900 });
+});
+
+afterEach(() => {
+    getSectionRegistry().forEach((entry, id) => destroySection(id));
+    dom.restore();
+});
+
+test('buildSection returns a sized placeholder and appends its layers to the body', () => {
+    const sections = exampleSchema.sections;
+    const section = sections[0];
+    const container = buildSection(section, 0, sections);
+
+    assert.equal(container.id, section.id);
+    assert.equal(container.className, 'fullscreen-section');
+    assert.equal(container.dataset.sectionId, section.id);
+    assert.equal(container.style.height, computeSectionHeight(section, 0, sections));
+
+    const layers = dom.document.body.querySelectorAll(`[data-section="${section.id}"][data-layer-index]`);
+    assert.deepEqual(layers.map(el => el.dataset.layerIndex), section.layers.map((layer, idx) => String(idx)));
+});
+
+test('the hero is appended last so it sits on top in DOM order', () => {
+    const section = exampleSchema.sections[1];
+    buildSection(section, 1, exampleSchema.sections);
+
+    const nodes = dom.document.body.childNodes;
+    const hero = nodes[nodes.length - 1];
+    assert.equal(hero.className, 'section-content');
+    assert.equal(hero.querySelector('h1.section-text').textContent, section.hero.text);
+});
+
+test('the registry groups layers by type and collects reveal items', () => {
+    const sections = exampleSchema.sections;
+    const last = sections[sections.length - 1];
+    buildSection(last, sections.length - 1, sections);
+
+    const entry = getSectionRegistry().get(last.id);
+    assert.equal(entry.backgrounds.length, last.layers.filter(l => l.type === 'background').length);
+    assert.equal(entry.images.length, last.layers.filter(l => l.type === 'image').length);
+    assert.equal(entry.visuals.length, last.layers.filter(l => l.type === 'custom').length);
+    assert.ok(entry.revealElements.length > 0, 'checklist items are reveal elements');
+    assert.deepEqual(entry.revealElements.map(el => Number(el.dataset.revealIndex)),
+        entry.revealElements.map((el, idx) => idx));
+});
+
+test('marked items of a renderer without reveal options are shown, not left hidden', () => {
+    registerRenderer('plain-steps', config => {
+        const list = dom.document.createElement('ol');
+        config.steps.forEach((step, index) => {
+            const li = dom.document.createElement('li');
+            li.dataset.revealIndex = index;
+            li.style.opacity = '0';
+            li.textContent = step;
+            list.appendChild(li);
+        });
+        return list;
+    });
+
+    const section = {
+        id: 'plain',
+        hero: { text: 'Plain steps' },
+        layers: [{ type: 'custom', renderer: 'plain-steps', config: { steps: ['one', 'two'] }, z: 5 }]
+    };
+    const container = buildSection(section, 0, [section]);
+    const entry = getSectionRegistry().get('plain');
+    assert.deepEqual(entry.reveal, []);
+    assert.equal(entry.revealElements.length, 2);
+
+    // Centre the section in the viewport and run one frame
+    const height = parseFloat(container.style.height) / 100 * 900;
+    container.getBoundingClientRect = () => ({ top: 450 - height / 2, height });
+    const queued = [];
+    dom.window.requestAnimationFrame = callback => queued.push(callback);
+    const binding = setupScrollBehavior();
+    binding.update();
+    queued.splice(0).forEach(callback => callback());
+    binding.destroy();
+
+    assert.deepEqual(entry.revealElements.map(el => el.style.opacity), ['1', '1']);
+});
+
+test('explicit scroll.height wins over the computed height', () => {
+    const section = { ...exampleSchema.sections[0], scroll: { height: '420vh' } };
+    assert.equal(buildSection(section).style.height, '420vh');
+});
+
+test('destroySection removes everything the section added', () => {
+    const section = exampleSchema.sections[0];
+    const before = dom.document.body.childNodes.length;
+    const container = buildSection(section);
+    dom.document.body.appendChild(container);
+
+    destroySection(section.id);
+    assert.equal(dom.document.body.childNodes.length, before);
+    assert.equal(getSectionRegistry().has(section.id), false);
+});
+
+test('buildAllSections inserts one placeholder per section before the marker', () => {
+    const marker = dom.document.body.appendChild(dom.document.createElement('footer'));
+    const handle = buildAllSections(exampleSchema, marker);
+
+    const placeholders = dom.document.body.querySelectorAll('.fullscreen-section');
+    assert.deepEqual(placeholders.map(el => el.id), exampleSchema.sections.map(s => s.id));
+    assert.equal(placeholders[placeholders.length - 1].nextSibling, marker);
+
+    handle.destroy();
+    assert.deepEqual(dom.document.body.querySelectorAll('.fullscreen-section'), []);
+});
+
+/**
+ * Pre-render the schema as scripts/prerender.mjs does, then forget the
+ * registry as a fresh page load would
+ * @param {import('../section-schema.js').SectionSchema} schema
+ * @returns {{marker: HTMLElement, containers: HTMLElement[], nodes: HTMLElement[]}}
+ */
+function prerenderPage(schema) {
+    const marker = dom.document.body.appendChild(dom.document.createElement('footer'));
+    const { containers, bodyNodes } = prerenderSections(schema, marker);
+    getSectionRegistry().clear();
+    return { marker, containers, nodes: [...containers, ...bodyNodes] };
+}
+
+test('hydration reuses pre-rendered markup that matches the schema', () => {
+    const { marker, containers, nodes } = prerenderPage(exampleSchema);
+    const before = dom.document.body.childNodes.length;
+
+    const handle = buildAllSections(exampleSchema, marker, { hydrate: true });
+
+    assert.deepEqual(handle.sections, containers);
+    assert.equal(dom.document.body.childNodes.length, before);
+    assert.ok(nodes.every(el => el.parentNode), 'no pre-rendered node was removed');
+
+    const last = exampleSchema.sections[exampleSchema.sections.length - 1];
+    const entry = getSectionRegistry().get(last.id);
+    assert.equal(entry.container, containers[containers.length - 1]);
+    assert.ok(entry.revealElements.length > 0, 'reveal items are found in the markup');
+    assert.equal(entry.extraHold, entry.timing.LAST_PANEL_EXTRA_HOLD);
+});
+
+test('hydration discards markup whose fingerprint no longer matches', () => {
+    const { marker, containers, nodes } = prerenderPage(exampleSchema);
+    const edited = {
+        ...exampleSchema,
+        sections: exampleSchema.sections.map((section, idx) => (
+            idx === 1 ? { ...section, hero: { ...section.hero, text: 'Edited copy' } } : section
+        ))
+    };
+
+    const handle = buildAllSections(edited, marker, { hydrate: true });
+
+    assert.ok(handle.sections.every((container, idx) => container !== containers[idx]), 'every section is rebuilt');
+    assert.ok(nodes.every(el => !el.parentNode), 'stale markup is removed');
+    assert.deepEqual(dom.document.querySelectorAll('[data-prerendered]'), []);
+    assert.equal(getSectionRegistry().get(exampleSchema.sections[1].id).hero.textContent, 'Edited copy');
+});
+
+test('the fingerprint covers schema timing and the last-section position', () => {
+    const retimed = prerenderPage(exampleSchema);
+    const brisk = buildAllSections({ ...exampleSchema, timing: 'brisk' }, retimed.marker, { hydrate: true });
+    assert.ok(brisk.sections.every((container, idx) => container !== retimed.containers[idx]));
+    brisk.destroy();
+
+    // Dropping the last section leaves its markup behind and makes section-02 the last one
+    const shortened = prerenderPage(exampleSchema);
+    const handle = buildAllSections({ sections: exampleSchema.sections.slice(0, 3) }, shortened.marker, { hydrate: true });
+    assert.ok(handle.sections.every((container, idx) => container !== shortened.containers[idx]));
+    assert.deepEqual(dom.document.querySelectorAll('[data-prerendered]'), []);
+});
+
+test('the fingerprint covers the source of the custom renderers a section uses', () => {
+    const { marker, containers } = prerenderPage(exampleSchema);
+    const checklist = customRenderers.checklist;
+    const options = getRendererOptions('checklist');
+
+    registerRenderer('checklist', (config, container, z) => checklist(config, container, z), options);
+    try {
+        const handle = buildAllSections(exampleSchema, marker, { hydrate: true });
+        assert.ok(handle.sections.every((container, idx) => container !== containers[idx]), 'markup from the old renderer is rebuilt');
+    } finally {
+        registerRenderer('checklist', checklist, options);
+    }
+});
+
+test('replace swaps one section in place, keeping section and layer order', () => {
+    const marker = dom.document.body.appendChild(dom.document.createElement('footer'));
+    const handle = buildAllSections(exampleSchema, marker);
+    const old = getSectionRegistry().get('section-01');
+    const oldNodes = [old.container, ...old.bodyNodes];
+
+    const replacement = { ...exampleSchema.sections[1], id: 'section-01b', hero: { text: 'Swapped' } };
+    const container = handle.replace('section-01', replacement);
+
+    const ids = ['section-00', 'section-01b', 'section-02', 'section-03'];
+    assert.deepEqual(dom.document.body.querySelectorAll('.fullscreen-section').map(el => el.id), ids);
+    assert.equal(handle.sections[1], container);
+    assert.ok(oldNodes.every(el => !el.parentNode), 'the old section nodes are removed');
+    assert.equal(getSectionRegistry().has('section-01'), false);
+
+    // Fixed layers and heroes stay grouped by section, in page order, before the next section's
+    const order = dom.document.body.querySelectorAll('[data-section]').map(el => el.dataset.section);
+    assert.deepEqual([...new Set(order)], ids);
+    assert.equal(getSectionRegistry().get('section-01b').hero.nextSibling, getSectionRegistry().get('section-02').bodyNodes[0]);
+
+    // The last section is anchored on the marker
+    const last = handle.replace('section-03', { ...exampleSchema.sections[3], hero: { text: 'Last' } });
+    assert.equal(last.nextSibling, marker);
+    assert.throws(() => handle.replace('section-01', replacement), /was not built by this handle/);
+});
+
+test('replace rejects an id another section already uses', () => {
+    const marker = dom.document.body.appendChild(dom.document.createElement('footer'));
+    const handle = buildAllSections(exampleSchema, marker);
+    const other = buildSection({ ...exampleSchema.sections[0], id: 'elsewhere' }, 0, exampleSchema.sections);
+    const before = getSectionRegistry().get('section-01');
+
+    assert.throws(() => handle.replace('section-01', { ...exampleSchema.sections[1], id: 'section-02' }), /duplicate section id "section-02"/);
+    assert.throws(() => handle.replace('section-01', { ...exampleSchema.sections[1], id: 'elsewhere' }), /duplicate section id "elsewhere"/);
+    assert.equal(getSectionRegistry().get('section-01'), before, 'the section is left in place');
+    assert.equal(getSectionRegistry().get('elsewhere').container, other);
+
+    // Keeping the section's own id is fine
+    handle.replace('section-01', { ...exampleSchema.sections[1], hero: { text: 'Same id' } });
+    assert.equal(getSectionRegistry().get('section-01').section.hero.text, 'Same id');
+});
+
+test('rebuild and destroy remove the old nodes and registry entries', () => {
+    const marker = dom.document.body.appendChild(dom.document.createElement('footer'));
+    const handle = buildAllSections(exampleSchema, marker);
+    const oldNodes = exampleSchema.sections.flatMap(section => {
+        const entry = getSectionRegistry().get(section.id);
+        return [entry.container, ...entry.bodyNodes];
+    });
+
+    const next = { sections: [{ ...exampleSchema.sections[0], id: 'only' }] };
+    handle.rebuild(next);
+
+    assert.ok(oldNodes.every(el => !el.parentNode), 'every old node is removed');
+    assert.deepEqual([...getSectionRegistry().keys()], ['only']);
+    assert.deepEqual(dom.document.body.querySelectorAll('.fullscreen-section').map(el => el.id), ['only']);
+    assert.equal(handle.sections[0].nextSibling, marker);
+
+    const rebuiltNodes = [getSectionRegistry().get('only').container, ...getSectionRegistry().get('only').bodyNodes];
+    handle.destroy();
+
+    assert.ok(rebuiltNodes.every(el => !el.parentNode));
+    assert.equal(getSectionRegistry().size, 0);
+    assert.deepEqual(dom.document.body.childNodes, [marker]);
+});
@@ -0,0 +1,199 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomShim } from '../dom-shim.js';
+import { buildSection, destroySection, getSectionRegistry, setupScrollBehavior } from '../section-builder.js';
+import { SECTION_EVENT_TYPES, diffSectionState, initialSectionState, onSectionEvent } from '../section-events.js';
+import { exampleSchema } from '../section-schema.js';
+
+const VIEWPORT_HEIGHT = 900;
+
+let dom;
+let queued;
+let binding;
+let unsubscribe = [];
+
+beforeEach(() => {
+    dom = installDomShim({ innerWidth: 1440, innerHeight: VIEWPORT_HEIGHT });
+    queued = [];
+    dom.window.requestAnimationFrame = callback => queued.push(callback);
+});
+
+afterEach(() => {
+    unsubscribe.forEach(off => off());
+    unsubscribe = [];
+    binding?.destroy();
+    binding = null;
+    getSectionRegistry().forEach((entry, id) => destroySection(id));
+    dom.restore();
+});
+
+/**
+ * Build the example sections stacked from the top of the page
+ * (the shim has no layout, so each placeholder reports its own rect)
+ * @returns {Array<{id: string, top: number, height: number}>}
+ */
+function buildPage() {
+    const { sections } = exampleSchema;
+    let top = 0;
+
+    return sections.map((section, index) => {
+        const container = buildSection(section, index, sections);
+        const height = parseFloat(container.style.height) / 100 * VIEWPORT_HEIGHT;
+        const pageTop = top;
+        container.getBoundingClientRect = () => ({ top: pageTop - dom.window.scrollY, height });
+        top += height;
+        return { id: section.id, top: pageTop, height };
+    });
+}
+
+/**
+ * Scroll to each offset and run the frame it schedules
+ * @param {number[]} offsets
+ */
+function scrollThrough(offsets) {
+    offsets.forEach(scrollY => {
+        dom.window.scrollY = scrollY;
+        binding.update();
+        queued.splice(0).forEach(callback => callback());
+    });
+}
+
+/**
+ * @param {number} from
+ * @param {number} to
+ * @param {number} step - Signed
+ * @returns {number[]}
+ */
+function range(from, to, step) {
+    const offsets = [];
+    for (let y = from; step > 0 ? y <= to : y >= to; y += step) offsets.push(y);
+    return offsets;
+}
+
+/**
+ * Record every event except progress
+ * @param {string} [sectionId]
+ * @returns {Array<Object>}
+ */
+function record(sectionId) {
+    const events = [];
+    SECTION_EVENT_TYPES.filter(type => type !== 'progress').forEach(type => {
+        unsubscribe.push(onSectionEvent(type, ({ type: name, detail }) => events.push({ type: name, ...detail }), { sectionId }));
+    });
+    return events;
+}
+
+test('state changes map to lifecycle events, leaving before entering', () => {
+    const hidden = initialSectionState();
+    const holding = { visible: true, hold: true, progress: 0.5, revealed: [true, false] };
+
+    assert.deepEqual(diffSectionState(hidden, holding).map(e => e.type), ['enter', 'holdstart', 'cardreveal', 'progress']);
+    assert.deepEqual(diffSectionState(holding, { ...hidden, progress: 1 }).map(e => e.type), ['holdend', 'exit', 'progress']);
+    assert.deepEqual(diffSectionState(holding, { ...holding, revealed: [true, true] }), [{ type: 'cardreveal', card: 1 }]);
+    assert.deepEqual(diffSectionState(holding, holding), []);
+});
+
+test('a frame that jumps over the hold zone reports the skipped transitions', () => {
+    const before = { visible: false, hold: false, progress: 0, revealed: [false, false] };
+    const fading = { visible: true, hold: false, progress: 0.2, revealed: [false, false] };
+    const after = { visible: false, hold: false, progress: 1, revealed: [false, false] };
+    const types = events => events.map(e => (e.type === 'cardreveal' ? `cardreveal ${e.card}` : e.type));
+
+    assert.deepEqual(types(diffSectionState(before, after)),
+        ['enter', 'holdstart', 'cardreveal 0', 'cardreveal 1', 'holdend', 'exit', 'progress']);
+    assert.deepEqual(types(diffSectionState(fading, after)),
+        ['holdstart', 'cardreveal 0', 'cardreveal 1', 'holdend', 'exit', 'progress']);
+    assert.deepEqual(types(diffSectionState(after, before)), ['enter', 'holdstart', 'holdend', 'exit', 'progress']);
+
+    // Leaving the hold going down reveals the cards it skipped before holdend
+    const holding = { visible: true, hold: true, progress: 0.45, revealed: [true, false] };
+    assert.deepEqual(types(diffSectionState(holding, after)), ['cardreveal 1', 'holdend', 'exit', 'progress']);
+});
+
+test('onSectionEvent filters by section, unsubscribes and rejects unknown events', () => {
+    assert.throws(() => onSectionEvent('scroll', () => {}), /Unknown section event "scroll"/);
+
+    buildPage();
+    binding = setupScrollBehavior();
+    const events = record('section-01');
+    scrollThrough(range(0, 9000, 100));
+
+    assert.ok(events.length > 0);
+    assert.ok(events.every(event => event.sectionId === 'section-01'));
+});
+
+test('scrolling down through a section fires its lifecycle in order', () => {
+    const page = buildPage();
+    binding = setupScrollBehavior();
+    const events = record('section-03');
+    const last = page[3];
+
+    scrollThrough(range(0, last.top + last.height, 20));
+
+    assert.deepEqual(events.map(e => (e.type === 'cardreveal' ? `cardreveal ${e.card}` : e.type)),
+        ['enter', 'holdstart', 'cardreveal 0', 'cardreveal 1', 'cardreveal 2', 'holdend', 'exit']);
+    assert.ok(events.every(e => e.direction === 'down' && e.index === 3));
+    assert.equal(events[2].element.dataset.revealIndex, '0');
+});
+
+test('progress runs from 0 to 1 while the section is visible', () => {
+    const page = buildPage();
+    binding = setupScrollBehavior();
+    const progress = [];
+    unsubscribe.push(onSectionEvent('progress', ({ detail }) => progress.push(detail.progress), { sectionId: 'section-01' }));
+
+    scrollThrough(range(page[0].top, page[2].top, 20));
+
+    assert.ok(progress.length > 10);
+    assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+    assert.equal(progress[progress.length - 1], 1);
+});
+
+test('scrolling back up replays the hold and exit with direction up', () => {
+    const page = buildPage();
+    binding = setupScrollBehavior();
+    scrollThrough([page[2].top + page[2].height]);
+
+    const events = record('section-01');
+    scrollThrough(range(page[2].top + page[2].height, 0, -20));
+
+    assert.deepEqual(events.map(e => e.type), ['enter', 'holdstart', 'holdend', 'exit']);
+    assert.ok(events.every(e => e.direction === 'up'));
+});
+
+test('one large scroll jump still fires every skipped section in order', () => {
+    const page = buildPage();
+    binding = setupScrollBehavior();
+    scrollThrough([0]);
+
+    const events = record();
+    const last = page[page.length - 1];
+    scrollThrough([last.top + last.height]);
+
+    ['section-01', 'section-02'].forEach(id => {
+        assert.deepEqual(events.filter(e => e.sectionId === id).map(e => e.type), ['enter', 'holdstart', 'holdend', 'exit']);
+    });
+    assert.deepEqual(events.filter(e => e.sectionId === 'section-03').map(e => (e.type === 'cardreveal' ? `cardreveal ${e.card}` : e.type)),
+        ['enter', 'holdstart', 'cardreveal 0', 'cardreveal 1', 'cardreveal 2', 'holdend', 'exit']);
+    assert.ok(events.every(e => e.direction === 'down'));
+});
+
+test('sections parked off-screen still report a jump over them', () => {
+    // An observer that never reports an intersection parks every hidden section
+    const original = globalThis.IntersectionObserver;
+    globalThis.IntersectionObserver = function IntersectionObserver() {
+        return { observe() {}, disconnect() {} };
+    };
+
+    try {
+        const page = buildPage();
+        binding = setupScrollBehavior();
+        scrollThrough([0, 10]);
+
+        const events = record('section-02');
+        scrollThrough([page[3].top]);
+        assert.deepEqual(events.map(e => e.type), ['enter', 'holdstart', 'holdend', 'exit']);
+    } finally {
+        globalThis.IntersectionObserver = original;
+    }
+});
@@ -0,0 +1,233 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSchema, parseSchemaDocument, resolveAndValidate, isSchemaLoadError } from '../section-loader.js';
+import { computeSectionHeight } from '../section-schema.js';
+import { SCROLL_TIMING } from '../scroll-timing-config.js';
+
+/**
+ * Minimal valid section
+ * @param {string} id
+ * @param {Object} [changes] - Merged into the section
+ * @returns {import('../section-schema.js').Section}
+ */
+function section(id, changes = {}) {
+    return {
+        id,
+        hero: { text: `Hello from ${id}` },
+        layers: [{ type: 'background', color: '#E8EBED', z: 0 }],
+        ...changes
+    };
+}
+
+/**
+ * fetch stub answering every request with the given text
+ * @param {string} text
+ * @param {{status?: number, contentType?: string}} [options]
+ * @returns {typeof fetch}
+ */
+function fetchReturning(text, { status = 200, contentType = '' } = {}) {
+    return async () => ({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => (name.toLowerCase() === 'content-type' ? contentType : null) },
+        text: async () => text
+    });
+}
+
+/**
+ * Run fn and return the SchemaLoadError it throws
+ * @param {() => *} fn
+ * @returns {Promise<Error & {issues: Object[]}>}
+ */
+async function loadError(fn) {
+    try {
+        await fn();
+    } catch (error) {
+        assert.ok(isSchemaLoadError(error), `expected a SchemaLoadError, got ${error.stack}`);
+        return error;
+    }
+    assert.fail('expected a SchemaLoadError');
+}
+
+test('YAML documents load through the subset parser', async () => {
+    const yaml = [
+        '# Sections for the test page',
+        'timing: brisk',
+        'sections:',
+        '  - id: intro',
+        '    hero:',
+        '      text: "Tools like <strong>this</strong>: great"',
+        "      style: 'center'",
+        '    layers:',
+        '      - { type: background, color: "#E8EBED", z: 0 }',
+        '      - type: image',
+        '        src: ship-images/paper-ship-square.png',
+        '        position: { top: 40%, left: 50% }',
+        '        z: 1',
+        '    scroll:',
+        '      fadeZone: 0.4',
+        ''
+    ].join('\n');
+
+    const { schema, warnings } = await loadSchema('sections.yaml', { fetch: fetchReturning(yaml) });
+
+    assert.equal(schema.timing, 'brisk');
+    assert.deepEqual(schema.sections[0].hero, { text: 'Tools like <strong>this</strong>: great', style: 'center' });
+    assert.deepEqual(schema.sections[0].layers[0], { type: 'background', color: '#E8EBED', z: 0 });
+    assert.deepEqual(schema.sections[0].layers[1].position, { top: '40%', left: '50%' });
+    assert.equal(schema.sections[0].scroll.fadeZone, 0.4);
+    assert.deepEqual(warnings, []);
+});
+
+test('the YAML content type is honoured without a .yaml extension', async () => {
+    const { schema } = await loadSchema('/api/sections', {
+        fetch: fetchReturning('sections:\n  - id: a\n    hero: { text: Hi }\n    layers: []\n', { contentType: 'application/yaml' })
+    });
+    assert.equal(schema.sections[0].id, 'a');
+});
+
+test('unsupported YAML is reported with its line', async () => {
+    const error = await loadError(() => parseSchemaDocument('sections:\n  - &first\n    id: a\n', { format: 'yaml', url: 'sections.yaml' }));
+
+    assert.match(error.message, /^sections\.yaml: malformed YAML/);
+    assert.equal(error.issues[0].code, 'parse');
+    assert.equal(error.issues[0].path, 'line 2');
+});
+
+test('$ref fragments are merged under sibling overrides', () => {
+    const { schema } = resolveAndValidate({
+        fragments: {
+            greyBackground: { type: 'background', color: '#E8EBED', z: 0 },
+            ship: { type: 'image', src: 'ship-images/paper-ship-square.png', position: { top: '40%', left: '50%' }, z: 1 }
+        },
+        sections: [
+            section('a', { layers: [{ $ref: '#/fragments/greyBackground' }, { $ref: '#/fragments/ship' }] }),
+            section('b', { layers: [{ $ref: '#/fragments/greyBackground', color: '#FFFFFF' }] })
+        ]
+    });
+
+    assert.equal(schema.fragments, undefined);
+    assert.deepEqual(schema.sections[0].layers[0], { type: 'background', color: '#E8EBED', z: 0 });
+    assert.equal(schema.sections[0].layers[1].src, 'ship-images/paper-ship-square.png');
+    assert.deepEqual(schema.sections[1].layers[0], { type: 'background', color: '#FFFFFF', z: 0 });
+});
+
+test('missing, non-local and circular $refs are errors', async () => {
+    const error = await loadError(() => resolveAndValidate({
+        fragments: {
+            loop: { $ref: '#/fragments/loop' }
+        },
+        sections: [
+            section('a', { layers: [{ $ref: '#/fragments/nope' }, { $ref: 'other.json#/x' }, { $ref: '#/fragments/loop' }] })
+        ]
+    }));
+
+    assert.match(error.message, /could not resolve schema/);
+    // The fragment itself is resolved too, so its loop is reported once more
+    assert.deepEqual(error.issues.map(issue => [issue.path, issue.code]), [
+        ['fragments.loop.$ref', 'ref'],
+        ['sections[0].layers[0].$ref', 'ref'],
+        ['sections[0].layers[1].$ref', 'ref'],
+        ['sections[0].layers[2].$ref', 'ref']
+    ]);
+    assert.match(error.issues[3].message, /circular/);
+});
+
+test('$timing expressions use the section timing', () => {
+    const { schema } = resolveAndValidate({
+        sections: [
+            section('a', { scroll: { fadeIn: '$timing.PANEL_FADE_IN * 2' } }),
+            section('b', { scroll: { timing: { PANEL_FADE_OUT: 0.5 }, fadeOut: '$timing.PANEL_FADE_OUT + 0.1' } })
+        ]
+    });
+
+    assert.equal(schema.sections[0].scroll.fadeIn, SCROLL_TIMING.PANEL_FADE_IN * 2);
+    assert.equal(schema.sections[1].scroll.fadeOut, 0.6);
+});
+
+test('only $timing and $height strings are expressions; $$ escapes them', () => {
+    const { schema } = resolveAndValidate({
+        sections: [
+            section('a', { hero: { text: '$5 off, $$ saved' } }),
+            section('b', { hero: { text: '$$height of summer' } }),
+            section('c', { hero: { text: '$$timing.PANEL_FADE_IN' } })
+        ]
+    });
+
+    assert.deepEqual(schema.sections.map(s => s.hero.text), ['$5 off, $$ saved', '$height of summer', '$timing.PANEL_FADE_IN']);
+});
+
+test('$height expressions become vh lengths without a height-mismatch warning', () => {
+    const sections = [section('a', { scroll: { height: '$height + 50' } }), section('b')];
+    const { schema, warnings } = resolveAndValidate({ sections });
+
+    const computed = parseFloat(computeSectionHeight(sections[0], 0, sections));
+    assert.equal(schema.sections[0].scroll.height, `${computed + 50}vh`);
+    assert.deepEqual(warnings, []);
+});
+
+test('bad expressions are errors at their path', async () => {
+    const error = await loadError(() => resolveAndValidate({
+        timing: { PANEL_READING_HOLD: '$timing.PANEL_FADE_IN * (2' },
+        sections: [
+            section('a', { scroll: { fadeIn: '$timing.NOPE', height: '$height' } }),
+            section('b', { scroll: { height: '$height / 0' } })
+        ]
+    }));
+
+    // Each failed expression is reported once, even in a section that also uses $height
+    assert.deepEqual(error.issues.map(issue => [issue.path, issue.code]), [
+        ['timing.PANEL_READING_HOLD', 'expression'],
+        ['sections[0].scroll.fadeIn', 'expression'],
+        ['sections[1].scroll.height', 'expression']
+    ]);
+    assert.match(error.issues[0].message, /missing "\)"/);
+    assert.match(error.issues[1].message, /unknown timing value "NOPE"/);
+    assert.match(error.issues[2].message, /not a finite number/);
+});
+
+test('fetch failures and malformed JSON throw SchemaLoadError', async () => {
+    const notFound = await loadError(() => loadSchema('sections.json', { fetch: fetchReturning('', { status: 404 }) }));
+    assert.match(notFound.message, /^sections\.json: could not fetch schema \(HTTP 404\)/);
+
+    const offline = await loadError(() => loadSchema('sections.json', { fetch: async () => { throw new Error('offline'); } }));
+    assert.match(offline.message, /offline/);
+
+    const malformed = await loadError(() => loadSchema('sections.json', { fetch: fetchReturning('{\n  "sections": [,]\n}') }));
+    assert.match(malformed.message, /malformed JSON/);
+    assert.equal(malformed.issues[0].code, 'parse');
+
+    const notObject = await loadError(() => parseSchemaDocument('[]'));
+    assert.match(notObject.message, /must be an object/);
+});
+
+test('invalid schemas list every validation issue', async () => {
+    const error = await loadError(() => resolveAndValidate({
+        sections: [section('a', { layers: [{ type: 'video', z: 80 }] }), section('a')]
+    }));
+
+    assert.match(error.message, /schema is invalid/);
+    const codes = error.issues.map(issue => issue.code);
+    assert.ok(codes.includes('z-index'));
+    assert.ok(codes.includes('layer-type'));
+    assert.ok(codes.includes('duplicate-id'));
+});
+
+test('empty and null sections or layers are issues, not TypeErrors', async () => {
+    const yaml = await loadError(() => loadSchema('sections.yaml', {
+        fetch: fetchReturning('sections:\n  -\n  - id: a\n    hero: { text: Hi }\n    layers: [{ type: background, color: "#fff", z: 0 }]\n')
+    }));
+    assert.deepEqual(yaml.issues, [{ path: 'sections[0]', code: 'type', message: 'section must be an object' }]);
+
+    const nullSection = await loadError(() => resolveAndValidate({ sections: [null] }));
+    assert.deepEqual(nullSection.issues.map(issue => [issue.path, issue.code]), [['sections[0]', 'type']]);
+
+    const nullLayer = await loadError(() => resolveAndValidate({
+        sections: [section('a', { layers: [null], scroll: { height: '$height' } })]
+    }));
+    assert.deepEqual(nullLayer.issues, [{ path: 'sections[0].layers[0]', code: 'type', message: 'layer must be an object' }]);
+
+    const legacy = await loadError(() => resolveAndValidate({ sections: [section('a', { layers: [null] })] }, { strict: false }));
+    assert.equal(legacy.issues.length, 1);
+    assert.match(legacy.issues[0].message, /layer must be an object/);
+});
@@ -0,0 +1,192 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomShim } from '../dom-shim.js';
+import { buildSection, destroySection, getSectionRegistry } from '../section-builder.js';
+import { emitSectionEvent } from '../section-events.js';
+import { createSectionNavigation } from '../section-navigation.js';
+import { exampleSchema } from '../section-schema.js';
+
+const VIEWPORT_HEIGHT = 900;
+
+let dom;
+let page;
+let listeners;
+let scrolls;
+let navigation;
+
+/**
+ * Shim window with the bits navigation uses: scrollTo, location/history and listeners
+ * @param {string} [hash='']
+ */
+function setupWindow(hash = '') {
+    const { window } = dom;
+    listeners = {};
+    scrolls = [];
+
+    window.location = { pathname: '/', search: '', hash };
+    window.history = {
+        state: null,
+        replaceState: (state, title, url) => { window.location.hash = url.includes('#') ? url.slice(url.indexOf('#')) : ''; }
+    };
+    window.scrollTo = ({ top, behavior }) => {
+        scrolls.push({ top, behavior });
+        window.scrollY = top;
+    };
+    window.addEventListener = (type, listener) => { listeners[type] = listener; };
+    window.removeEventListener = type => { delete listeners[type]; };
+}
+
+/**
+ * Build the example sections stacked from `offset` (the shim has no layout)
+ * @param {number} offset - Page offset of the first section
+ * @returns {Array<{id: string, top: number, height: number, center: number}>}
+ */
+function buildPage(offset) {
+    const { sections } = exampleSchema;
+    let top = offset;
+
+    return sections.map((section, index) => {
+        const container = buildSection(section, index, sections);
+        const height = parseFloat(container.style.height) / 100 * VIEWPORT_HEIGHT;
+        const pageTop = top;
+        container.getBoundingClientRect = () => ({ top: pageTop - dom.window.scrollY, height });
+        top += height;
+        return { id: section.id, top: pageTop, height, center: pageTop + height / 2 - VIEWPORT_HEIGHT / 2 };
+    });
+}
+
+/**
+ * Dispatch a keydown through the listener navigation registered
+ * @param {string} key
+ * @param {Object} [extra]
+ * @returns {{defaultPrevented: boolean}}
+ */
+function press(key, extra = {}) {
+    const event = { key, defaultPrevented: false, target: dom.document.body, ...extra };
+    event.preventDefault = () => { event.defaultPrevented = true; };
+    listeners.keydown(event);
+    return event;
+}
+
+beforeEach(() => {
+    dom = installDomShim({ innerWidth: 1440, innerHeight: VIEWPORT_HEIGHT });
+    setupWindow();
+    page = buildPage(1000);
+});
+
+afterEach(() => {
+    navigation?.destroy();
+    navigation = null;
+    getSectionRegistry().forEach((entry, id) => destroySection(id));
+    dom.restore();
+});
+
+test('scrollToSection lands on the hold-zone center, not the placeholder top', () => {
+    navigation = createSectionNavigation(exampleSchema);
+
+    assert.equal(navigation.scrollToSection('section-02'), true);
+    assert.deepEqual(scrolls, [{ top: page[2].center, behavior: 'smooth' }]);
+    assert.equal(navigation.scrollToSection('missing'), false);
+});
+
+test('a deep link on load jumps straight to its section', () => {
+    setupWindow('#section-02');
+    navigation = createSectionNavigation(exampleSchema);
+
+    assert.deepEqual(scrolls, [{ top: page[2].center, behavior: 'auto' }]);
+
+    dom.window.location.hash = '#section-01';
+    listeners.hashchange();
+    assert.equal(scrolls[1].top, page[1].center);
+});
+
+test('a malformed hash is ignored instead of aborting setup', () => {
+    setupWindow('#%E0');
+    navigation = createSectionNavigation(exampleSchema);
+    assert.deepEqual(scrolls, []);
+
+    dom.window.location.hash = '#%section-01';
+    listeners.hashchange();
+    assert.deepEqual(scrolls, []);
+    assert.equal(navigation.scrollToSection('section-01'), true);
+});
+
+test('the hash follows the active section and clears when the sections leave', () => {
+    navigation = createSectionNavigation(exampleSchema);
+    const detail = id => ({ sectionId: id, index: 0, direction: 'down', progress: 0.5, opacity: 1 });
+
+    emitSectionEvent('enter', detail('section-01'));
+    emitSectionEvent('holdstart', detail('section-01'));
+    assert.equal(dom.window.location.hash, '#section-01');
+    assert.equal(navigation.getActiveSection(), 'section-01');
+
+    emitSectionEvent('holdstart', detail('other-page-section'));
+    assert.equal(navigation.getActiveSection(), 'section-01');
+
+    emitSectionEvent('exit', detail('section-01'));
+    assert.equal(dom.window.location.hash, '');
+    assert.equal(navigation.getActiveSection(), null);
+});
+
+test('page and arrow keys step between panel centers', () => {
+    navigation = createSectionNavigation(exampleSchema);
+    dom.window.scrollY = page[0].center;
+
+    assert.equal(press('PageDown').defaultPrevented, true);
+    assert.equal(dom.window.scrollY, page[1].center);
+    press('ArrowDown');
+    assert.equal(dom.window.scrollY, page[2].center);
+    press('PageUp');
+    assert.equal(dom.window.scrollY, page[1].center);
+
+    // Between panels, down goes to the next center and up to the previous one
+    dom.window.scrollY = page[1].center + 200;
+    press('ArrowUp');
+    assert.equal(dom.window.scrollY, page[1].center);
+});
+
+test('keys keep their normal behavior outside the sections and in form fields', () => {
+    navigation = createSectionNavigation(exampleSchema);
+
+    dom.window.scrollY = 0;
+    assert.equal(press('PageDown').defaultPrevented, false);
+
+    dom.window.scrollY = page[3].center;
+    assert.equal(press('PageDown').defaultPrevented, false, 'past the last panel');
+
+    dom.window.scrollY = page[1].center;
+    assert.equal(press('PageDown', { target: dom.document.createElement('input') }).defaultPrevented, false);
+    assert.equal(press('PageDown', { shiftKey: true }).defaultPrevented, false);
+    assert.equal(scrolls.length, 0);
+});
+
+test('the dot rail is built from the schema and tracks the active section', () => {
+    navigation = createSectionNavigation(exampleSchema, { dots: true });
+    const rail = dom.document.querySelector('nav.section-dots');
+    const dots = rail.querySelectorAll('.section-dot');
+
+    assert.deepEqual(dots.map(dot => dot.dataset.sectionId), exampleSchema.sections.map(s => s.id));
+    assert.equal(dots[2].getAttribute('aria-label'), 'But things can get messy fast.');
+    assert.equal(rail.style.opacity, '0');
+
+    const detail = { sectionId: 'section-02', index: 2, direction: 'down', progress: 0.5, opacity: 1 };
+    emitSectionEvent('enter', detail);
+    emitSectionEvent('holdstart', detail);
+    assert.equal(rail.style.opacity, '1');
+    assert.equal(dots[2].getAttribute('aria-current'), 'true');
+
+    navigation.destroy();
+    navigation = null;
+    assert.equal(dom.document.querySelector('nav.section-dots'), null);
+});
+
+test('dot labels are plain text for rich-text nodes and entities', () => {
+    const sections = [
+        { ...exampleSchema.sections[0], id: 'rich', hero: { text: ['Ship ', { tag: 'strong', children: ['faster'] }, { tag: 'br' }, 'with less'] } },
+        { ...exampleSchema.sections[1], id: 'entities', hero: { text: 'Plans &amp; <em>checklists</em>' } }
+    ];
+    navigation = createSectionNavigation({ sections }, { dots: true });
+    const dots = dom.document.querySelector('nav.section-dots').querySelectorAll('.section-dot');
+
+    assert.deepEqual(dots.map(dot => dot.getAttribute('aria-label')), ['Ship faster with less', 'Plans & checklists']);
+});
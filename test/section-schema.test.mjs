@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, computeSectionHeight, exampleSchema } from '../section-schema.js';
+import { assetManifest } from '../asset-manifest.js';
+
+/**
+ * Deep copy of the example schema for tests that break it
+ * @returns {import('../section-schema.js').SectionSchema}
+ */
+function copyExample() {
+    return JSON.parse(JSON.stringify(exampleSchema));
+}
+
+test('example schema is valid in legacy and strict mode', () => {
+    assert.deepEqual(validateSchema(exampleSchema).errors, []);
+    assert.deepEqual(validateSchema(exampleSchema, { strict: true }).errors, []);
+});
+
+test('legacy mode reports errors as located strings', () => {
+    const schema = copyExample();
+    schema.sections[1].layers[1].z = 80;
+
+    const { valid, errors } = validateSchema(schema);
+    assert.equal(valid, false);
+    assert.deepEqual(errors, ['Section 1, layer 1: z-index 80 exceeds max of 50 (hero zone protection)']);
+});
+
+test('strict mode reports typos and bad CSS lengths as issues', () => {
+    const schema = copyExample();
+    const layer = schema.sections[0].layers[1];
+    layer.postion = layer.position;
+    layer.size.width = 'calc(10px * 10px)';
+
+    const { errors } = validateSchema(schema, { strict: true });
+    assert.ok(errors.some(e => e.code === 'unknown-property' && e.path === 'sections[0].layers[1].postion'));
+    assert.ok(errors.some(e => e.code === 'css-length' && e.path === 'sections[0].layers[1].size.width'));
+});
+
+test('strict mode reports duplicate ids', () => {
+    const schema = copyExample();
+    schema.sections[2].id = schema.sections[1].id;
+
+    const { errors } = validateSchema(schema, { strict: true });
+    assert.ok(errors.some(e => e.code === 'duplicate-id'));
+});
+
+test('custom layer configs are checked against the renderer schema', () => {
+    const schema = copyExample();
+    schema.sections[3].layers[3].config.itmes = schema.sections[3].layers[3].config.items;
+    delete schema.sections[3].layers[3].config.items;
+
+    const { errors } = validateSchema(schema, { strict: true });
+    assert.ok(errors.some(e => e.path.startsWith('sections[3].layers[3].config')));
+});
+
+test('allowOverlap entries must name the hero or another layer', () => {
+    const schema = copyExample();
+    schema.sections[3].layers[2].allowOverlap = ['hero', 3, 2, 9];
+
+    const { errors } = validateSchema(schema, { strict: true });
+    const messages = errors.filter(e => e.code === 'allow-overlap').map(e => e.message);
+    assert.equal(messages.length, 2);
+});
+
+test('image srcs are checked against the asset manifest', () => {
+    assert.deepEqual(validateSchema(exampleSchema, { strict: true, assets: assetManifest }).errors, []);
+
+    const schema = copyExample();
+    schema.sections[0].layers[1].src = 'ship-images/missing.png';
+    const { errors } = validateSchema(schema, { strict: true, assets: assetManifest });
+    assert.deepEqual(errors.map(e => [e.path, e.code]), [['sections[0].layers[1].src', 'missing-asset']]);
+
+    const { warnings } = validateSchema(copyExample(), {
+        strict: true,
+        assets: { ...assetManifest, maxBytes: 1 }
+    });
+    assert.ok(warnings.some(w => w.code === 'oversized-asset'));
+});
+
+test('computeSectionHeight adds hold time for reveal items and the last section', () => {
+    const [first, , , last] = exampleSchema.sections;
+    const sections = exampleSchema.sections;
+
+    const plain = parseFloat(computeSectionHeight(first, 0, sections));
+    const withChecklist = parseFloat(computeSectionHeight(last, 3, sections));
+    assert.match(computeSectionHeight(first, 0, sections), /^\d+vh$/);
+    assert.ok(withChecklist > plain, `${withChecklist} should exceed ${plain}`);
+});
+
+test('computeSectionHeight follows the section fadeIn/fadeOut', () => {
+    const [first] = exampleSchema.sections;
+    const sections = exampleSchema.sections;
+
+    const plain = parseFloat(computeSectionHeight(first, 0, sections));
+    const slow = parseFloat(computeSectionHeight({ ...first, scroll: { fadeIn: 0.8, fadeOut: 0.5 } }, 0, sections));
+    assert.equal(slow - plain, 70);
+});
+
+test('scrollTrack keyframes that are not objects are errors, not TypeErrors', () => {
+    const schema = copyExample();
+    schema.sections[0].layers[1].scrollTrack = [null, { at: 2, spin: 1 }];
+
+    const { valid, errors } = validateSchema(schema, { strict: true });
+    assert.equal(valid, false);
+    assert.deepEqual(errors.filter(e => e.code === 'scroll-track').map(e => e.message), [
+        'scrollTrack keyframe 0: must be an object like { at: 0.5, opacity: 1 }',
+        'scrollTrack keyframe 1: "at" must be a number between 0 and 1',
+        'scrollTrack keyframe 1: unknown property "spin"'
+    ]);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateAllSections,
+    validateSectionOverlap,
+    calculateHeroBounds,
+    calculateLayerBounds,
+    VIEWPORT_PRESETS
+} from '../section-validator.js';
+import { exampleSchema } from '../section-schema.js';
+
+const laptop = { width: 1440, height: 900 };
+
+/**
+ * One-section schema with a hero and the given layers
+ * @param {Object[]} layers
+ * @returns {import('../section-schema.js').Section}
+ */
+function sectionWith(layers) {
+    return {
+        id: 'probe',
+        hero: { text: 'Ship the thing' },
+        layers: [{ type: 'background', color: '#000' }, ...layers]
+    };
+}
+
+test('example schema is clean on every preset except phone portrait', () => {
+    const { viewports } = validateAllSections(exampleSchema, { viewports: Object.keys(VIEWPORT_PRESETS) });
+
+    assert.deepEqual(viewports.map(report => report.name), Object.keys(VIEWPORT_PRESETS));
+    viewports.filter(report => report.name !== 'phone-portrait').forEach(report => {
+        assert.deepEqual(report.collisions, [], `${report.name} should have no collisions`);
+    });
+    assert.equal(viewports.find(report => report.name === 'phone-portrait').valid, false);
+});
+
+test('collision warnings are labelled with their viewport', () => {
+    const { valid, warnings } = validateAllSections(exampleSchema, { viewports: ['phone-portrait'] });
+
+    assert.equal(valid, false);
+    assert.ok(warnings.length > 0);
+    warnings.forEach(warning => assert.match(warning, /^\[phone-portrait 375x667\] Section \d+ /));
+});
+
+test('custom viewports and unknown presets', () => {
+    const { viewports } = validateAllSections(exampleSchema, { viewports: [{ name: 'kiosk', ...laptop }] });
+    assert.equal(viewports[0].name, 'kiosk');
+
+    assert.throws(() => validateAllSections(exampleSchema, { viewports: ['watch'] }), /Unknown viewport preset "watch"/);
+});
+
+test('hero bounds are centred and grow with the text', () => {
+    const short = calculateHeroBounds({ text: 'Hi' }, laptop, { measure: 'model' });
+    const long = calculateHeroBounds({ text: 'A much longer headline that has to wrap onto a second line' }, laptop, { measure: 'model' });
+
+    assert.equal(short.method, 'model');
+    assert.equal(short.lines, 1);
+    assert.ok(Math.abs(short.left + short.width / 2 - laptop.width / 2) < 1, 'short hero is centred');
+    assert.ok(long.lines > 1);
+    assert.ok(long.height > short.height);
+    assert.ok(long.width <= 1000, 'text wraps inside its max width');
+});
+
+test('an image over the hero collides, and allowOverlap silences it', () => {
+    const image = {
+        type: 'image',
+        src: 'ship-images/tugboat.png',
+        position: { top: '30%', left: '50%' },
+        size: { width: '300px', height: 'auto' },
+        z: 10
+    };
+
+    const { collisions } = validateSectionOverlap(sectionWith([image]), laptop);
+    assert.deepEqual(collisions.map(c => [c.layer, c.other]), [[1, 'hero']]);
+
+    const allowed = validateSectionOverlap(sectionWith([{ ...image, allowOverlap: ['hero'] }]), laptop);
+    assert.deepEqual(allowed.collisions, []);
+});
+
+test('overlapping layers collide with each other', () => {
+    const image = position => ({
+        type: 'image',
+        src: 'ship-images/tugboat.png',
+        position,
+        size: { width: '200px', height: '200px' },
+        z: 10
+    });
+
+    const { collisions } = validateSectionOverlap(sectionWith([
+        image({ top: '70vh', left: '5vw' }),
+        image({ top: '72vh', left: '7vw' })
+    ]), laptop);
+    assert.deepEqual(collisions.map(c => [c.layer, c.other]), [[1, 2]]);
+});
+
+test('image height follows the intrinsic aspect ratio and the min-width clamp', () => {
+    const layer = {
+        type: 'image',
+        src: 'wide.png',
+        position: { top: '0', left: '0' },
+        size: { width: '100px', height: 'auto' }
+    };
+    const images = { 'wide.png': { width: 400, height: 100 } };
+
+    const [bounds] = calculateLayerBounds(layer, laptop, 0.5, { images });
+    assert.equal(bounds.width, 200);
+    assert.equal(bounds.height, 50);
+});
+
+test('image srcs are normalized before the intrinsic-size lookup', () => {
+    const images = { 'ship-images/wide.png': { width: 400, height: 100 } };
+    const heightFor = src => calculateLayerBounds({
+        type: 'image',
+        src,
+        position: { top: '0', left: '0' },
+        size: { width: '200px', height: 'auto' }
+    }, laptop, 0.5, { images })[0].height;
+
+    ['ship-images/wide.png', './ship-images/wide.png', '/ship-images/wide.png', 'ship-images/wide.png?v=2']
+        .forEach(src => assert.equal(heightFor(src), 50, src));
+    assert.equal(heightFor('ship-images/other.png'), 200);
+});
+
+test('challenge cards whose position cannot be resolved are left out of the bounds', () => {
+    const layer = { type: 'custom', renderer: 'challenge-cards', config: { cards: [{ text: 'Scope creep' }] }, z: 5 };
+
+    assert.equal(calculateLayerBounds(layer, laptop).length, 1);
+    assert.deepEqual(calculateLayerBounds(layer, { width: 1440, height: NaN }), []);
+});
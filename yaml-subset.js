@@ -0,0 +1,278 @@
+/**
+ * YAML Subset Parser
+ * Parses the YAML a section schema needs, without a dependency:
+ *
+ * - Block mappings and sequences (indented with spaces), including
+ *   `- key: value` mappings inside sequences
+ * - Flow collections: [a, b] and {key: value}
+ * - Plain, 'single' and "double" quoted scalars, numbers, true/false, null/~
+ * - # comments
+ *
+ * Anchors/aliases, tags, block scalars (| and >) and multiple documents are
+ * not supported and are reported as errors rather than misread.
+ */
+
+/**
+ * Create a parse error carrying the 1-based line number
+ * @param {string} message
+ * @param {number} line
+ * @returns {Error & {line: number}}
+ */
+function yamlError(message, line) {
+    const error = new Error(`line ${line}: ${message}`);
+    error.name = 'YAMLError';
+    error.line = line;
+    return error;
+}
+
+/**
+ * Index of the first occurrence of any of the given characters outside quotes
+ * and flow brackets, or -1
+ * @param {string} text
+ * @param {(text: string, i: number) => boolean} matches
+ * @returns {number}
+ */
+function findUnquoted(text, matches) {
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (depth === 0 && matches(text, i)) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Remove a trailing # comment (a # at line start or after whitespace)
+ * @param {string} text
+ * @returns {string}
+ */
+function stripComment(text) {
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Index of the `:` separating a mapping key from its value, or -1
+ * @param {string} text
+ * @returns {number}
+ */
+function findKeySeparator(text) {
+    return findUnquoted(text, (t, i) => t[i] === ':' && (i === t.length - 1 || t[i + 1] === ' '));
+}
+
+/**
+ * Parse a scalar (quoted string, number, boolean, null or plain string)
+ * @param {string} text - Trimmed scalar text
+ * @param {number} line
+ * @returns {*}
+ */
+function parseScalar(text, line) {
+    if (text.startsWith('"')) {
+        if (!text.endsWith('"') || text.length < 2) throw yamlError(`unterminated string ${text}`, line);
+        try {
+            return JSON.parse(text);
+        } catch {
+            throw yamlError(`invalid double-quoted string ${text}`, line);
+        }
+    }
+    if (text.startsWith("'")) {
+        if (!text.endsWith("'") || text.length < 2) throw yamlError(`unterminated string ${text}`, line);
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (/^[&*!|>%@`]/.test(text)) {
+        throw yamlError(`unsupported YAML syntax "${text[0]}" (anchors, aliases, tags and block scalars are not supported)`, line);
+    }
+
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+
+    return text;
+}
+
+/**
+ * Parse a flow collection ([...] or {...}) or scalar
+ * @param {string} text - Trimmed value text
+ * @param {number} line
+ * @returns {*}
+ */
+function parseFlow(text, line) {
+    if (!text.startsWith('[') && !text.startsWith('{')) {
+        return parseScalar(text, line);
+    }
+
+    const close = text.startsWith('[') ? ']' : '}';
+    if (!text.endsWith(close)) {
+        throw yamlError(`unterminated flow collection ${text}`, line);
+    }
+
+    const inner = text.slice(1, -1).trim();
+    const parts = [];
+    let rest = inner;
+    while (rest) {
+        const comma = findUnquoted(rest, (t, i) => t[i] === ',');
+        parts.push((comma === -1 ? rest : rest.slice(0, comma)).trim());
+        rest = comma === -1 ? '' : rest.slice(comma + 1).trim();
+    }
+
+    if (close === ']') {
+        return parts.map(part => parseFlow(part, line));
+    }
+
+    const mapping = {};
+    parts.forEach(part => {
+        const separator = findKeySeparator(part);
+        if (separator === -1) throw yamlError(`expected "key: value" in ${text}`, line);
+        const key = String(parseScalar(part.slice(0, separator).trim(), line));
+        mapping[key] = parseFlow(part.slice(separator + 1).trim(), line);
+    });
+    return mapping;
+}
+
+/**
+ * Parse a YAML document (subset) into plain data
+ * @param {string} text
+ * @returns {*}
+ * @throws {Error & {line: number}} On invalid or unsupported syntax
+ */
+function parseYaml(text) {
+    const lines = [];
+
+    text.split(/\r?\n/).forEach((raw, idx) => {
+        const line = idx + 1;
+        const content = stripComment(raw).trimEnd();
+        if (!content.trim()) return;
+
+        const indentMatch = content.match(/^[ \t]*/)[0];
+        if (indentMatch.includes('\t')) {
+            throw yamlError('tabs are not allowed for indentation', line);
+        }
+        if (content.trim() === '---' || content.trim() === '...') {
+            if (lines.length > 0) throw yamlError('multiple documents are not supported', line);
+            return;
+        }
+
+        lines.push({ indent: indentMatch.length, content: content.trim(), line });
+    });
+
+    let index = 0;
+
+    const isSequenceItem = entry => entry.content === '-' || entry.content.startsWith('- ');
+
+    function parseBlock(indent) {
+        const entry = lines[index];
+        return isSequenceItem(entry) ? parseSequence(indent) : parseMapping(indent);
+    }
+
+    function parseNested(parentIndent, allowSequenceAtParent) {
+        const next = lines[index];
+        if (!next) return null;
+        if (next.indent > parentIndent) return parseBlock(next.indent);
+        if (allowSequenceAtParent && next.indent === parentIndent && isSequenceItem(next)) {
+            return parseSequence(parentIndent);
+        }
+        return null;
+    }
+
+    function parseSequence(indent) {
+        const items = [];
+
+        while (index < lines.length && lines[index].indent === indent && isSequenceItem(lines[index])) {
+            const entry = lines[index];
+            const rest = entry.content.slice(1).trim();
+
+            if (!rest) {
+                index++;
+                items.push(parseNested(indent, false));
+            } else if (!/^["'[{]/.test(rest) && findKeySeparator(rest) !== -1) {
+                // "- key: value" starts a mapping indented to the key
+                const itemIndent = indent + entry.content.indexOf(rest);
+                lines[index] = { indent: itemIndent, content: rest, line: entry.line };
+                items.push(parseMapping(itemIndent));
+            } else {
+                index++;
+                items.push(parseFlow(rest, entry.line));
+            }
+        }
+
+        return items;
+    }
+
+    function parseMapping(indent) {
+        const mapping = {};
+
+        while (index < lines.length && lines[index].indent === indent && !isSequenceItem(lines[index])) {
+            const entry = lines[index];
+            const separator = findKeySeparator(entry.content);
+            if (separator === -1) {
+                throw yamlError(`expected "key: value", got "${entry.content}"`, entry.line);
+            }
+
+            const key = String(parseScalar(entry.content.slice(0, separator).trim(), entry.line));
+            if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+                throw yamlError(`duplicate key "${key}"`, entry.line);
+            }
+
+            const rest = entry.content.slice(separator + 1).trim();
+            index++;
+            mapping[key] = rest ? parseFlow(rest, entry.line) : parseNested(indent, true);
+        }
+
+        return mapping;
+    }
+
+    if (lines.length === 0) return null;
+
+    const root = lines[0];
+    const value = isSequenceItem(root) || findKeySeparator(root.content) !== -1
+        ? parseBlock(root.indent)
+        : (index++, parseFlow(root.content, root.line));
+
+    if (index < lines.length) {
+        const extra = lines[index];
+        throw yamlError(`unexpected indentation at "${extra.content}"`, extra.line);
+    }
+
+    return value;
+}
+
+export { parseYaml };